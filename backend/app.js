@@ -5,7 +5,16 @@ import helmet from "helmet";
 import compression from "compression";
 import morgan from "morgan";
 import Authrouter from "./routes/auth-routes.js";
+import OAuthRouter from "./routes/oauth-routes.js";
 import UserRouter from "./routes/users-routes.js";
+import ChatRouter from "./routes/chats-routes.js";
+import GroupRouter from "./routes/groups-routes.js";
+import MediaRouter from "./routes/media-routes.js";
+import FriendRouter from "./routes/friends-routes.js";
+import AccountRouter from "./routes/account-routes.js";
+import NotificationRouter from "./routes/notifications-routes.js";
+import { serveLocalUploads } from "./middlewares/upload-middleware.js";
+import rateLimit from "./middlewares/rate-limit-middleware.js";
 
 const app = express();
 
@@ -40,9 +49,32 @@ app.use(helmet());
 app.use(compression());
 app.use(morgan(process.env.NODE_ENV === "production" ? "combined" : "dev"));
 
+// Default limit for every API route (per IP, bursts allowed); sensitive
+// routes add tighter limits of their own
+app.use(
+  "/api",
+  rateLimit({
+    name: "api",
+    key: "ip",
+    algorithm: "token-bucket",
+    limit: 300,
+    window: 60,
+  }),
+);
+
 // Routes
+app.use("/api/auth/oauth", OAuthRouter);
 app.use("/api/auth", Authrouter);
 app.use("/api/users", UserRouter);
+app.use("/api/chats", ChatRouter);
+app.use("/api/groups", GroupRouter);
+app.use("/api/media", MediaRouter);
+app.use("/api/friends", FriendRouter);
+app.use("/api/account", AccountRouter);
+app.use("/api/notifications", NotificationRouter);
+
+// Files of the local storage driver (development / tests)
+app.use("/uploads", serveLocalUploads);
 
 // 404 handler
 app.use((req, res, next) => {
@@ -52,13 +84,17 @@ app.use((req, res, next) => {
 // Error handler (after routes)
 app.use((err, req, res, next) => {
   const status = err.status || 500;
+  // lockouts / rate limits tell the client when to try again (seconds)
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
   res.status(status).json({
     error: {
       message: err.message || "Internal Server Error",
       code: err.code || "INTERNAL_ERROR",
       errors: err.errors || [],
+      ...(err.retryAfter && { retryAfter: err.retryAfter }),
     },
   });
 });
 
+export { allowedOrigins };
 export default app;
@@ -0,0 +1,205 @@
+import User from "../models/Users.js";
+import DataExport from "../models/DataExports.js";
+import ApiError from "../utils/api-error.js";
+import ApiResponse from "../utils/api-response.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { clientLink } from "../utils/client-url.js";
+import {
+  AccountDeletionMailGenContent,
+  SecurityAlertMailGenContent,
+} from "../utils/mailgen.js";
+import emailQueue from "../queues/email.queue.js";
+import accountQueue from "../queues/account.queue.js";
+import {
+  openExportDownload,
+  markStaleExportsFailed,
+} from "../services/export-service.js";
+import {
+  scheduleDeletion,
+  cancelDeletion,
+} from "../services/account-service.js";
+
+// ===================== HELPER FUNCTIONS =====================
+
+// Exports listed in the account settings
+const EXPORT_LIST_LIMIT = 10;
+
+// Public shape of an export (the download token is only in the email)
+const toExportResponse = (dataExport) => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  size: dataExport.size,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+});
+
+const toDeletionResponse = (deletion) => ({
+  scheduled: Boolean(deletion?.scheduledFor),
+  requestedAt: deletion?.requestedAt ?? null,
+  scheduledFor: deletion?.scheduledFor ?? null,
+  anonymizeMessages: Boolean(deletion?.anonymizeMessages),
+});
+
+//----------------REQUEST A DATA EXPORT (BUILT BY THE WORKER)-----------------
+const requestDataExport = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  // an export a crashed worker left behind doesn't block a new one
+  await markStaleExportsFailed({ user: userId });
+  const pending = await DataExport.exists({
+    user: userId,
+    status: { $in: ["queued", "processing"] },
+  });
+  if (pending) throw new ApiError(409, "An export is already being prepared");
+
+  const dataExport = await DataExport.create({ user: userId });
+
+  // not retried: a failed export is marked failed, the user asks again
+  await accountQueue.add(
+    "exportData",
+    { exportId: String(dataExport._id) },
+    { attempts: 1 },
+  );
+
+  return res
+    .status(202)
+    .json(
+      new ApiResponse(
+        202,
+        toExportResponse(dataExport),
+        "Export started. We'll email you a download link when it's ready",
+      ),
+    );
+});
+
+//----------------LIST MY EXPORTS-----------------
+const getDataExports = asyncHandler(async (req, res) => {
+  const exports = await DataExport.find({ user: req.user._id })
+    .sort({ createdAt: -1 })
+    .limit(EXPORT_LIST_LIMIT);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        exports.map(toExportResponse),
+        "Exports fetched successfully",
+      ),
+    );
+});
+
+//----------------DOWNLOAD AN EXPORT (LOGGED IN OR EMAILED TOKEN)-----------------
+const downloadDataExport = asyncHandler(async (req, res) => {
+  const { stream, filename, size } = await openExportDownload({
+    exportId: req.params.exportId,
+    userId: req.user?._id,
+    token: req.query.token,
+  });
+
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Length": String(size),
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Cache-Control": "no-store",
+  });
+
+  stream.on("error", (error) => {
+    console.error("Export download failed:", error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
+//----------------ACCOUNT DELETION STATUS-----------------
+const getAccountDeletion = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select("deletion");
+  if (!user) throw new ApiError(404, "User not found");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        toDeletionResponse(user.deletion),
+        "Deletion status fetched successfully",
+      ),
+    );
+});
+
+//----------------SCHEDULE ACCOUNT DELETION (GRACE PERIOD)-----------------
+const requestAccountDeletion = asyncHandler(async (req, res) => {
+  const { password, confirmUsername, anonymizeMessages } = req.body;
+
+  const user = await User.findById(req.user._id);
+  if (!user) throw new ApiError(404, "User not found");
+  if (user.deletion?.scheduledFor)
+    throw new ApiError(409, "Account deletion is already scheduled");
+
+  //  Password accounts confirm with the password, OAuth-only ones by
+  //  typing their username
+  if (user.hasPassword) {
+    if (!password || !(await user.validatePassword(password)))
+      throw new ApiError(400, "Incorrect password");
+  } else if (confirmUsername !== user.username) {
+    throw new ApiError(400, "Type your username to confirm");
+  }
+
+  const deletion = await scheduleDeletion(user._id, {
+    anonymizeMessages: Boolean(anonymizeMessages),
+  });
+
+  emailQueue.add("sendMail", {
+    email: user.email,
+    subject: "Your BaatCheet account is scheduled for deletion",
+    mailGenContent: AccountDeletionMailGenContent(
+      user.username,
+      deletion.scheduledFor,
+      clientLink("/settings/account"),
+    ),
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        toDeletionResponse({ requestedAt: new Date(), ...deletion }),
+        "Account scheduled for deletion",
+      ),
+    );
+});
+
+//----------------CANCEL ACCOUNT DELETION-----------------
+const cancelAccountDeletion = asyncHandler(async (req, res) => {
+  const cancelled = await cancelDeletion(req.user._id);
+  if (!cancelled) throw new ApiError(404, "No deletion is scheduled");
+
+  emailQueue.add("sendMail", {
+    email: req.user.email,
+    subject: "Your BaatCheet account will not be deleted",
+    mailGenContent: SecurityAlertMailGenContent(
+      req.user.username,
+      "The scheduled deletion of your BaatCheet account was cancelled. Your account stays as it is.",
+      {
+        Time: new Date().toUTCString(),
+        Device: req.get("user-agent") || "Unknown device",
+        IP: req.ip || "Unknown",
+      },
+    ),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Account deletion cancelled"));
+});
+
+export {
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  getAccountDeletion,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+};
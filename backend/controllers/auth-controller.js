@@ -1,41 +1,128 @@
 import bcrypt from "bcrypt"; // For password hashing
-import crypto from "crypto"; // For hashing refresh tokens
+import crypto from "crypto"; // For generating OTPs
 import jwt from "jsonwebtoken";
 import User from "../models/Users.js";
+import ApiToken from "../models/ApiTokens.js";
 import ApiError from "../utils/api-error.js";
 import ApiResponse from "../utils/api-response.js";
 import asyncHandler from "../utils/asyncHandler.js";
 import { redisClient } from "../redis/redisClient.js";
-import { sendEmail, OTPVerificationMailGenContent } from "../utils/mailgen.js";
+import {
+  sendEmail,
+  OTPVerificationMailGenContent,
+  SecurityAlertMailGenContent,
+  EmailChangeNoticeMailGenContent,
+} from "../utils/mailgen.js";
+import { clientLink } from "../utils/client-url.js";
 import emailQueue from "../queues/email.queue.js";
+import {
+  accessCookieOptions,
+  refreshCookieOptions,
+  deliverTokens,
+} from "../utils/auth-cookies.js";
+import {
+  clientInfo,
+  startSession,
+  getSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} from "../services/session-service.js";
+import { disconnectSessions } from "../socket/socket-emitter.js";
+import {
+  generateSecret,
+  generateRecoveryCodes,
+  isValidTotp,
+  verifySecondFactor,
+  createLoginChallenge,
+  useLoginChallenge,
+  clearLoginChallenge,
+} from "../services/two-factor-service.js";
+import {
+  assertNotLocked,
+  failAttempt,
+  clearFailures,
+  resetOtpAttempts,
+  wrongOtpError,
+} from "../services/brute-force-service.js";
+import { generateApiToken } from "../services/api-token-service.js";
 
-// ===================== GLOBAL CONFIG =====================
-const isProd = process.env.NODE_ENV === "production";
+// ===================== HELPER FUNCTIONS =====================
 
-// Access Token cookie (short-lived)
-const accessCookieOptions = {
-  httpOnly: true,
-  secure: isProd,
-  sameSite: "strict",
-  maxAge: 15 * 60 * 1000, // 15 minutes
-};
+// Generate a 6-digit numeric OTP (cryptographically strong)
+const generateOTP = () => crypto.randomInt(100000, 1000000).toString();
+
+// Email change: pending OTP (10 minutes) and the old address' revert link (7 days)
+const EMAIL_CHANGE_TTL = 10 * 60;
+const EMAIL_REVERT_TTL = 7 * 24 * 60 * 60;
+const emailChangeKey = (userId) => `email-change:${userId}`;
+const emailRevertKey = (token) =>
+  `email-revert:${crypto.createHash("sha256").update(token).digest("hex")}`;
 
-// Refresh Token cookie (long-lived)
-const refreshCookieOptions = {
-  httpOnly: true,
-  secure: isProd,
-  sameSite: "strict",
-  maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+// Tell the owner that a session was killed because its token was replayed
+const queueSessionReuseAlert = (user, session, req) => {
+  const intro =
+    "We signed one of your devices out of BaatCheet because an old login token was used again. This can mean someone else got hold of it.";
+  emailQueue.add("sendMail", {
+    email: user.email,
+    subject: "Security alert: a device was signed out",
+    mailGenContent: SecurityAlertMailGenContent(user.username, intro, {
+      Time: new Date().toUTCString(),
+      "Signed-out device": session.userAgent || "Unknown device",
+      "Last used from IP": session.ip || "Unknown",
+      "Token replayed from IP": req.ip || "Unknown",
+    }),
+  });
 };
 
-// ===================== HELPER FUNCTIONS =====================
+// After a password change/reset: every session and API token ends, the
+// owner is told
+const endSessionsAfterPasswordChange = async (user, req) => {
+  const revokedIds = await revokeAllSessions(user._id);
+  disconnectSessions(revokedIds);
+  // a token minted from a stolen session must not outlive the reset
+  await ApiToken.deleteMany({ user: user._id });
 
-// Generate a 6-digit numeric OTP (cryptographically strong)
-const generateOTP = () => crypto.randomInt(100000, 1000000).toString();
+  emailQueue.add("sendMail", {
+    email: user.email,
+    subject: "Your BaatCheet password was changed",
+    mailGenContent: SecurityAlertMailGenContent(
+      user.username,
+      "The password of your BaatCheet account was just changed. All devices were signed out and all personal API tokens were revoked.",
+      {
+        Time: new Date().toUTCString(),
+        Device: req.get("user-agent") || "Unknown device",
+        IP: req.ip || "Unknown",
+      },
+    ),
+  });
+};
 
-// Hash refresh token (to store securely in Redis)
-const hashRefreshToken = (refreshToken) =>
-  crypto.createHash("sha256").update(refreshToken).digest("hex");
+// Personal API tokens per user; each lives until revoked or expired
+const MAX_API_TOKENS = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Public shape of an API token (never the hash)
+const toApiTokenResponse = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  prefix: apiToken.prefix,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  createdAt: apiToken.createdAt,
+});
+
+// Public shape of a stored session
+const toSessionResponse = (session, currentSessionId) => ({
+  id: session.id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  current: session.id === currentSessionId,
+});
 
 // ===================== REGISTER USER =====================
 const registerUser = asyncHandler(async (req, res) => {
@@ -50,11 +137,6 @@ const registerUser = asyncHandler(async (req, res) => {
   if (existingUser)
     throw new ApiError(409, "User with email or username already exists");
 
-  //  Apply rate limiting to prevent OTP spamming
-  const ratelimitKey = `register:ratelimit:${email}`;
-  if (await redisClient.get(ratelimitKey))
-    throw new ApiError(429, "Too many OTP requests. Please try again later.");
-
   //  Generate OTP
   const otp = generateOTP();
 
@@ -66,8 +148,8 @@ const registerUser = asyncHandler(async (req, res) => {
     300,
   );
 
-  //  Set rate limit cooldown (1 minute)
-  await redisClient.set(ratelimitKey, "true", "EX", 60);
+  //  A new OTP gets a fresh set of attempts
+  await resetOtpAttempts(`register:${email}`);
 
   //  Send OTP email by adding in Email Queue BullMQ
   const intro =
@@ -90,14 +172,32 @@ const verifyOtp = asyncHandler(async (req, res) => {
 
   if (!email || !otp) throw new ApiError(404, "Email or OTP missing");
 
+  //  Brute-force guard (per email + per IP)
+  const attempt = { email, ip: req.ip };
+  await assertNotLocked("verify-otp", attempt);
+
   //  Get temp user data from Redis
   const tempUserData = await redisClient.get(`register:${email}`);
-  if (!tempUserData) throw new ApiError(400, "OTP expired or invalid");
+  if (!tempUserData)
+    await failAttempt(
+      "verify-otp",
+      attempt,
+      new ApiError(400, "OTP expired or invalid"),
+    );
 
   const parsedUserData = JSON.parse(tempUserData);
 
-  // Match OTP
-  if (parsedUserData.otp !== otp) throw new ApiError(400, "Invalid OTP");
+  // Match OTP (a few wrong codes burn it)
+  if (parsedUserData.otp !== otp)
+    await failAttempt(
+      "verify-otp",
+      attempt,
+      await wrongOtpError(
+        `register:${email}`,
+        new ApiError(400, "Invalid OTP"),
+      ),
+    );
+  await clearFailures("verify-otp", attempt);
 
   //  Ensure user doesn't already exist
   const existingUser = await User.findOne({ email });
@@ -115,29 +215,14 @@ const verifyOtp = asyncHandler(async (req, res) => {
     email: parsedUserData.email,
     password: hashedPassword,
     isVerified: true,
-    status: "online",
   });
 
-  // Generate JWTs
-  const accessToken = newUser.createAccessToken();
-  const refreshToken = newUser.createRefreshToken();
-
-  //  Hash and store refresh token in Redis (7 days)
-  const hashedRefresh = hashRefreshToken(refreshToken);
-  await redisClient.set(
-    `refresh:${newUser._id}`,
-    hashedRefresh,
-    "EX",
-    7 * 24 * 60 * 60,
-  );
-
   //  Cleanup temp Redis data
   await redisClient.del(`register:${email}`);
-  await redisClient.del(`register:ratelimit:${email}`);
+  await resetOtpAttempts(`register:${email}`);
 
-  //  Send cookies
-  res.cookie("accessToken", accessToken, accessCookieOptions);
-  res.cookie("refreshToken", refreshToken, refreshCookieOptions);
+  //  Log this device in (tokens, session, cookies)
+  const { tokens } = await startSession(req, res, newUser);
 
   //  Final response
   return res.status(201).json(
@@ -150,6 +235,7 @@ const verifyOtp = asyncHandler(async (req, res) => {
           email: newUser.email,
           isVerified: newUser.isVerified,
         },
+        ...(tokens && { tokens }),
       },
       "User verified and logged in successfully.",
     ),
@@ -158,11 +244,8 @@ const verifyOtp = asyncHandler(async (req, res) => {
 
 //==================RESEND EMAIL VERIFICATION OTP================
 const resendEmailVerificationOTP = asyncHandler(async (req, res) => {
-  //  Apply rate limiting to prevent OTP spamming
+  //  OTP spamming is limited by the route's rateLimit middleware
   const { email, username, password } = req.body;
-  const ratelimitKey = `register:ratelimit:${email}`;
-  if (await redisClient.get(ratelimitKey))
-    throw new ApiError(429, "Too many OTP requests. Please try again later.");
 
   //  Generate OTP
   const otp = generateOTP();
@@ -175,8 +258,8 @@ const resendEmailVerificationOTP = asyncHandler(async (req, res) => {
     300,
   );
 
-  //  Set rate limit cooldown (1 minute)
-  await redisClient.set(ratelimitKey, "true", "EX", 60);
+  //  A new OTP gets a fresh set of attempts
+  await resetOtpAttempts(`register:${email}`);
 
   //  Send OTP email by adding in Email Queue BullMQ
   const intro =
@@ -196,35 +279,88 @@ const resendEmailVerificationOTP = asyncHandler(async (req, res) => {
 const loginUser = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
+  //  Brute-force guard: locked accounts / IPs don't get to try
+  const attempt = { email, ip: req.ip };
+  await assertNotLocked("login", attempt);
+
   //  Check user existence
   const user = await User.findOne({ email });
-  if (!user) throw new ApiError(404, "User not found");
+  if (!user)
+    await failAttempt("login", attempt, new ApiError(404, "User not found"));
 
   //  Verify account
   if (!user.isVerified) throw new ApiError(400, "Account not verified");
 
   //  Validate password
   const isValidPassword = await user.validatePassword(password);
-  if (!isValidPassword) throw new ApiError(400, "Incorrect password");
+  if (!isValidPassword)
+    await failAttempt(
+      "login",
+      attempt,
+      new ApiError(400, "Incorrect password"),
+    );
+  await clearFailures("login", attempt);
+
+  //  2FA on: no cookies yet, the client answers the challenge first
+  if (user.twoFactor?.enabled) {
+    const challenge = await createLoginChallenge(user._id);
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { twoFactorRequired: true, ...challenge },
+          "Two-factor code required",
+        ),
+      );
+  }
 
-  //  Generate tokens
-  const accessToken = user.createAccessToken();
-  const refreshToken = user.createRefreshToken();
+  //  New session for this device (other devices stay logged in)
+  const { tokens } = await startSession(req, res, user);
 
-  //  Store hashed refresh token in Redis (7 days)
-  const hashedRefresh = hashRefreshToken(refreshToken);
-  await redisClient.set(
-    `refresh:${user._id}`,
-    hashedRefresh,
-    "EX",
-    7 * 24 * 60 * 60,
+  // Success response
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          isVerified: user.isVerified,
+        },
+        ...(tokens && { tokens }),
+      },
+      "User logged in successfully.",
+    ),
   );
+});
 
-  //  Set cookies
-  res.cookie("accessToken", accessToken, accessCookieOptions);
-  res.cookie("refreshToken", refreshToken, refreshCookieOptions);
+// ===================== LOGIN STEP 2: TWO-FACTOR CODE =====================
+const verifyLoginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeId, code } = req.body;
+
+  //  Challenge from step 1 (expires, limited attempts)
+  const userId = await useLoginChallenge(challengeId);
+
+  const user = await User.findById(userId);
+  if (!user) throw new ApiError(404, "User not found");
+
+  //  Wrong codes count towards the same lockout as wrong passwords
+  const attempt = { email: user.email, ip: req.ip };
+  await assertNotLocked("login", attempt);
+
+  //  TOTP code or a one-time recovery code
+  let method;
+  try {
+    method = await verifySecondFactor(userId, code);
+  } catch (error) {
+    await failAttempt("login", attempt, error);
+  }
+  await clearLoginChallenge(challengeId);
+
+  const { tokens } = await startSession(req, res, user);
 
-  // Success response
   return res.status(200).json(
     new ApiResponse(
       200,
@@ -235,6 +371,8 @@ const loginUser = asyncHandler(async (req, res) => {
           email: user.email,
           isVerified: user.isVerified,
         },
+        method,
+        ...(tokens && { tokens }),
       },
       "User logged in successfully.",
     ),
@@ -245,11 +383,11 @@ const loginUser = asyncHandler(async (req, res) => {
 const logoutUser = asyncHandler(async (req, res) => {
   const { id, email } = req.user;
 
-  // setting status of user to offline after logout
-  await User.findByIdAndUpdate(id, { status: "offline", lastSeen: new Date() });
+  // presence (status/lastSeen) is driven by socket connections, not logout
 
-  //  Delete refresh token from Redis (invalidate session)
-  await redisClient.del(`refresh:${id}`);
+  //  End only this device's session
+  await revokeSession(id, req.sessionId);
+  disconnectSessions([req.sessionId]);
 
   //  Clear cookies
   res
@@ -263,44 +401,412 @@ const logoutUser = asyncHandler(async (req, res) => {
 });
 
 //---------------REFRESH THE ACCESS TOKEN AFTER 15MINS-----------------
+// rotates the refresh token too; replaying a spent one revokes the session
 
 const refreshToken = asyncHandler(async (req, res) => {
-  // get the refresh token from the cookies
-  const refreshToken = req.cookies?.refreshToken;
+  // get the refresh token from the cookies (browsers) or the body (native
+  // apps / scripts, which get the new tokens back in the body too)
+  const fromBody =
+    !req.cookies?.refreshToken && Boolean(req.body?.refreshToken);
+  const refreshToken = fromBody
+    ? String(req.body.refreshToken)
+    : req.cookies?.refreshToken;
   if (!refreshToken) {
     throw new ApiError(401, "No Refresh Token Found");
   }
   // verify the refresh token
-  const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-  const userId = decoded?._id;
-  if (!userId) throw new ApiError(401, "Invalid refresh token payload");
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch (error) {
+    throw new ApiError(401, "Invalid or expired refresh token");
+  }
+  const { _id: userId, sid: sessionId } = decoded;
+  if (!userId || !sessionId)
+    throw new ApiError(401, "Invalid refresh token payload");
 
-  // now get the hashedRefreshToken from the redis
-  const storedHashedToken = await redisClient.get(`refresh:${userId}`);
-  if (!storedHashedToken)
+  // now get the session (token family) of this device from redis
+  const session = await getSession(sessionId);
+  if (!session || session.userId !== String(userId))
     throw new ApiError(403, "Session expired, please log in again");
 
-  // create the hashedRefreshToken
-  const hashedRefreshToken = hashRefreshToken(refreshToken);
-  if (storedHashedToken !== hashedRefreshToken) {
-    throw new ApiError(
+  // now get the user using the userId
+
+  const user = await User.findById(userId).select("-password");
+  if (!user) throw new ApiError(404, "User not found");
+
+  // rotate: the presented token is spent, the new one replaces it
+  const newRefreshToken = user.createRefreshToken(sessionId);
+  const rotation = await rotateRefreshToken({
+    sessionId,
+    presentedToken: refreshToken,
+    nextToken: newRefreshToken,
+    ...clientInfo(req),
+  });
+
+  // an already-rotated token came back: it was stolen or replayed,
+  // so nobody holding a token of this family stays logged in
+  if (rotation === "reused") {
+    await revokeSession(userId, sessionId);
+    disconnectSessions([sessionId]);
+    queueSessionReuseAlert(user, session, req);
+
+    res
+      .clearCookie("accessToken", accessCookieOptions)
+      .clearCookie("refreshToken", refreshCookieOptions);
+
+    const reuseError = new ApiError(
       403,
-      "Invalid refresh token, possible token reuse attack",
+      "Refresh token reuse detected, please log in again",
     );
+    reuseError.code = "TOKEN_REUSED";
+    throw reuseError;
   }
 
-  // now get the user using the userId
+  // a parallel refresh (another tab, a retried request) got there first
+  // moments ago: not a theft, the client retries with the newer token
+  if (rotation === "superseded") {
+    const rotatedError = new ApiError(
+      409,
+      "Refresh token was just rotated, retry with the latest one",
+    );
+    rotatedError.code = "TOKEN_ROTATED";
+    throw rotatedError;
+  }
 
-  const user = await User.findById(userId).select("-password");
-  if (!user) throw new ApiError(404, "User not found");
+  if (rotation !== "rotated") {
+    throw new ApiError(403, "Invalid refresh token");
+  }
 
   // create the accessToken
-  const newAccessToken = user.createAccessToken();
+  const newAccessToken = user.createAccessToken(sessionId);
+
+  const tokens = deliverTokens(
+    req,
+    res,
+    { accessToken: newAccessToken, refreshToken: newRefreshToken },
+    fromBody,
+  );
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        tokens ? { tokens } : null,
+        "Access token refreshed successfully",
+      ),
+    );
+});
+
+//----------------CHANGE PASSWORD (LOGGED IN)-----------------
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user._id);
+  if (!user) throw new ApiError(404, "User not found");
+
+  //  Validate current password
+  const isValidPassword = await user.validatePassword(currentPassword);
+  if (!isValidPassword) throw new ApiError(400, "Incorrect password");
+
+  user.password = await bcrypt.hash(newPassword, 10);
+  user.passwordChangedAt = new Date();
+  await user.save();
+
+  //  All sessions end (this one too), then this device gets a fresh one
+  await endSessionsAfterPasswordChange(user, req);
+  const { tokens } = await startSession(req, res, user);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        tokens ? { tokens } : null,
+        "Password changed successfully",
+      ),
+    );
+});
+
+//----------------CHANGE EMAIL (STEP 1: OTP TO THE NEW ADDRESS)-----------------
+const requestEmailChange = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+  const newEmail = req.body.newEmail.toLowerCase();
+
+  const user = await User.findById(req.user._id);
+  if (!user) throw new ApiError(404, "User not found");
+
+  //  Validate current password
+  const isValidPassword = await user.validatePassword(password);
+  if (!isValidPassword) throw new ApiError(400, "Incorrect password");
+
+  if (newEmail === user.email) {
+    throw new ApiError(400, "This is already your email");
+  }
+  if (await User.exists({ email: newEmail })) {
+    throw new ApiError(409, "Email is already in use");
+  }
+
+  //  OTP proves the new address belongs to the user
+  const otp = generateOTP();
+  await redisClient.set(
+    emailChangeKey(user._id),
+    JSON.stringify({ newEmail, otp }),
+    "EX",
+    EMAIL_CHANGE_TTL,
+  );
+  await resetOtpAttempts(emailChangeKey(user._id));
+
+  //  Revert link for the old address (works before and after the swap)
+  const revertToken = crypto.randomBytes(32).toString("hex");
+  await redisClient.set(
+    emailRevertKey(revertToken),
+    JSON.stringify({
+      userId: String(user._id),
+      oldEmail: user.email,
+      newEmail,
+    }),
+    "EX",
+    EMAIL_REVERT_TTL,
+  );
+
+  const intro =
+    "Use this OTP to confirm the new email of your BaatCheet account";
+  emailQueue.add("sendMail", {
+    email: newEmail,
+    subject: "Confirm your new email",
+    mailGenContent: OTPVerificationMailGenContent(user.username, intro, otp),
+  });
+  emailQueue.add("sendMail", {
+    email: user.email,
+    subject: "Your BaatCheet email is being changed",
+    mailGenContent: EmailChangeNoticeMailGenContent(
+      user.username,
+      newEmail,
+      clientLink("/revert-email", { token: revertToken }),
+    ),
+  });
 
-  res.cookie("accessToken", newAccessToken, accessCookieOptions);
   return res
     .status(200)
-    .json(new ApiResponse(200, null, "Access token refreshed successfully"));
+    .json(new ApiResponse(200, null, "OTP sent to your new email."));
+});
+
+//----------------CHANGE EMAIL (STEP 2: VERIFY OTP + SWAP)-----------------
+const verifyEmailChange = asyncHandler(async (req, res) => {
+  const { otp } = req.body;
+  const user = req.user;
+  const key = emailChangeKey(user._id);
+
+  //  Brute-force guard (per account + per IP)
+  const attempt = { email: user.email, ip: req.ip };
+  await assertNotLocked("email-change-otp", attempt);
+
+  const pending = await redisClient.get(key);
+  if (!pending)
+    await failAttempt(
+      "email-change-otp",
+      attempt,
+      new ApiError(400, "OTP expired or invalid"),
+    );
+
+  const { newEmail, otp: savedOtp } = JSON.parse(pending);
+
+  // a few wrong codes burn the OTP
+  if (savedOtp !== otp)
+    await failAttempt(
+      "email-change-otp",
+      attempt,
+      await wrongOtpError(key, new ApiError(400, "Invalid OTP")),
+    );
+  await clearFailures("email-change-otp", attempt);
+
+  //  Swap only if the email is still the one the change was requested for;
+  //  the unique index settles a race for the new address
+  let result;
+  try {
+    result = await User.updateOne(
+      { _id: user._id, email: user.email },
+      { $set: { email: newEmail } },
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(409, "Email is already in use");
+    }
+    throw error;
+  }
+  if (result.modifiedCount === 0) {
+    throw new ApiError(409, "Your email changed meanwhile, please try again");
+  }
+
+  await redisClient.del(key);
+  await resetOtpAttempts(key);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { email: newEmail }, "Email changed successfully"),
+    );
+});
+
+//----------------REVERT AN EMAIL CHANGE (LINK SENT TO THE OLD ADDRESS)-----------------
+const revertEmailChange = asyncHandler(async (req, res) => {
+  const key = emailRevertKey(req.body.token);
+
+  const data = await redisClient.get(key);
+  if (!data) throw new ApiError(400, "Link expired or invalid");
+
+  const { userId, oldEmail, newEmail } = JSON.parse(data);
+
+  //  Not swapped yet → just drop the pending change
+  const pending = await redisClient.get(emailChangeKey(userId));
+  if (pending && JSON.parse(pending).newEmail === newEmail) {
+    await redisClient.del(emailChangeKey(userId));
+  }
+
+  //  Swapped → put the old address back and sign every device out
+  let result;
+  try {
+    result = await User.updateOne(
+      { _id: userId, email: newEmail },
+      { $set: { email: oldEmail } },
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(409, "The old email is now used by another account");
+    }
+    throw error;
+  }
+  if (result.modifiedCount === 1) {
+    disconnectSessions(await revokeAllSessions(userId));
+  }
+
+  await redisClient.del(key);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { email: oldEmail },
+        "Email change reverted. We recommend resetting your password.",
+      ),
+    );
+});
+
+//----------------ACTIVE SESSIONS (ONE PER DEVICE)-----------------
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      sessions.map((session) => toSessionResponse(session, req.sessionId)),
+      "Sessions fetched successfully",
+    ),
+  );
+});
+
+//----------------REVOKE ONE SESSION (LOG A DEVICE OUT)-----------------
+const revokeSessionById = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const revoked = await revokeSession(req.user._id, sessionId);
+  if (!revoked) throw new ApiError(404, "Session not found");
+
+  disconnectSessions([sessionId]);
+
+  // revoking the current device is a logout
+  if (sessionId === req.sessionId) {
+    res
+      .clearCookie("accessToken", accessCookieOptions)
+      .clearCookie("refreshToken", refreshCookieOptions);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Session revoked successfully"));
+});
+
+//----------------REVOKE ALL OTHER SESSIONS-----------------
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const revokedIds = await revokeAllSessions(req.user._id, {
+    except: req.sessionId,
+  });
+  disconnectSessions(revokedIds);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { revoked: revokedIds.length },
+        "Other sessions revoked successfully",
+      ),
+    );
+});
+
+//----------------PERSONAL API TOKENS (SCRIPTS / BOTS)-----------------
+const getApiTokens = asyncHandler(async (req, res) => {
+  const tokens = await ApiToken.find({ user: req.user._id }).sort({
+    createdAt: -1,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        tokens.map(toApiTokenResponse),
+        "API tokens fetched successfully",
+      ),
+    );
+});
+
+//----------------CREATE AN API TOKEN (SHOWN ONCE)-----------------
+const createApiToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const count = await ApiToken.countDocuments({ user: req.user._id });
+  if (count >= MAX_API_TOKENS)
+    throw new ApiError(
+      400,
+      `You can have at most ${MAX_API_TOKENS} API tokens. Revoke one first`,
+    );
+
+  const { token, tokenHash, prefix } = generateApiToken();
+  const apiToken = await ApiToken.create({
+    user: req.user._id,
+    name,
+    tokenHash,
+    prefix,
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * DAY_MS)
+      : null,
+  });
+
+  return res.status(201).json(
+    new ApiResponse(
+      201,
+      // the plaintext token can't be fetched again
+      { ...toApiTokenResponse(apiToken), token },
+      "API token created. Copy it now, it won't be shown again",
+    ),
+  );
+});
+
+//----------------REVOKE AN API TOKEN-----------------
+const revokeApiToken = asyncHandler(async (req, res) => {
+  const result = await ApiToken.deleteOne({
+    _id: req.params.tokenId,
+    user: req.user._id,
+  });
+  if (result.deletedCount === 0) throw new ApiError(404, "API token not found");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "API token revoked successfully"));
 });
 
 //----------------FORGOT PASSWORD--------------------------------
@@ -310,14 +816,10 @@ const forgotPassword = asyncHandler(async (req, res) => {
   const user = await User.findOne({ email });
   if (!user) throw new ApiError(404, "User not found");
 
-  const ratelimitKey = `reset:rateLimit:${email}`;
-  if (await redisClient.get(ratelimitKey))
-    throw new ApiError(429, "Too many OTP requests. Try again later");
-
   const otp = generateOTP();
 
   await redisClient.set(`reset:${email}`, JSON.stringify({ otp }), "EX", 300);
-  await redisClient.set(ratelimitKey, "true", "EX", 60);
+  await resetOtpAttempts(`reset:${email}`);
 
   const intro = "Use this OTP to reset your BaatCheet account password";
 
@@ -337,40 +839,207 @@ const verifyForgotPasswordOtp = asyncHandler(async (req, res) => {
   if (!email || !password || !otp)
     throw new ApiError(400, "Email, OTP and Password are required");
 
+  //  Brute-force guard (per email + per IP)
+  const attempt = { email, ip: req.ip };
+  await assertNotLocked("reset-otp", attempt);
+
   const redisData = await redisClient.get(`reset:${email}`);
-  if (!redisData) throw new ApiError(400, "OTP expired or invalid");
+  if (!redisData)
+    await failAttempt(
+      "reset-otp",
+      attempt,
+      new ApiError(400, "OTP expired or invalid"),
+    );
 
   const { otp: savedOtp } = JSON.parse(redisData);
 
-  if (savedOtp !== otp) throw new ApiError(400, "Invalid OTP");
+  // a few wrong codes burn the OTP
+  if (savedOtp !== otp)
+    await failAttempt(
+      "reset-otp",
+      attempt,
+      await wrongOtpError(`reset:${email}`, new ApiError(400, "Invalid OTP")),
+    );
+  await clearFailures("reset-otp", attempt);
 
   // Hash new password
   const hashedPassword = await bcrypt.hash(password, 10);
 
   // Update password in DB
-  await User.findOneAndUpdate(
+  const user = await User.findOneAndUpdate(
     { email },
     {
       password: hashedPassword,
+      hasPassword: true,
+      passwordChangedAt: new Date(),
     },
   );
+  if (!user) throw new ApiError(404, "User not found");
+
+  // whoever had the old password is logged out everywhere
+  await endSessionsAfterPasswordChange(user, req);
 
   // cleanup redis
   await redisClient.del(`reset:${email}`);
-  await redisClient.del(`reset:rateLimit:${email}`);
+  await resetOtpAttempts(`reset:${email}`);
 
   return res
     .status(200)
     .json(new ApiResponse(200, null, "Password reset successfully"));
 });
 
+//----------------TWO-FACTOR SETUP (STEP 1: SECRET)-----------------
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = req.user;
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  //  Pending until a first code proves the authenticator app has it
+  const { secret, otpauthUrl } = generateSecret(user.email);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.pendingSecret": secret } },
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { secret, otpauthUrl },
+        "Scan the code with your authenticator app, then confirm",
+      ),
+    );
+});
+
+//----------------TWO-FACTOR SETUP (STEP 2: FIRST CODE)-----------------
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.pendingSecret",
+  );
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw new ApiError(400, "Start two-factor setup first");
+  }
+  if (!isValidTotp(user.twoFactor.pendingSecret, req.body.code)) {
+    throw new ApiError(401, "Invalid two-factor code");
+  }
+
+  //  Recovery codes are shown once, only their hashes are kept
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.secret": user.twoFactor.pendingSecret,
+        "twoFactor.pendingSecret": null,
+        "twoFactor.recoveryCodes": hashes,
+        "twoFactor.enabledAt": new Date(),
+      },
+    },
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes: codes },
+        "Two-factor authentication enabled. Store your recovery codes safely",
+      ),
+    );
+});
+
+//----------------DISABLE TWO-FACTOR (PASSWORD + CODE)-----------------
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user._id);
+  const isValidPassword = await user.validatePassword(password);
+  if (!isValidPassword) throw new ApiError(400, "Incorrect password");
+
+  await verifySecondFactor(user._id, code);
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "twoFactor.enabled": false,
+        "twoFactor.secret": null,
+        "twoFactor.pendingSecret": null,
+        "twoFactor.recoveryCodes": [],
+        "twoFactor.enabledAt": null,
+      },
+    },
+  );
+
+  //  Let the owner know in case it wasn't them
+  emailQueue.add("sendMail", {
+    email: user.email,
+    subject: "Two-factor authentication was turned off",
+    mailGenContent: SecurityAlertMailGenContent(
+      user.username,
+      "Two-factor authentication was just turned off for your BaatCheet account.",
+      {
+        Time: new Date().toUTCString(),
+        Device: req.get("user-agent") || "Unknown device",
+        IP: req.ip || "Unknown",
+      },
+    ),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Two-factor authentication disabled"));
+});
+
+//----------------NEW RECOVERY CODES (OLD ONES STOP WORKING)-----------------
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  await verifySecondFactor(req.user._id, req.body.code);
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { "twoFactor.recoveryCodes": hashes } },
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes: codes },
+        "New recovery codes generated",
+      ),
+    );
+});
+
 export {
   registerUser,
   verifyOtp,
   resendEmailVerificationOTP,
   loginUser,
+  verifyLoginTwoFactor,
   logoutUser,
   refreshToken,
   forgotPassword,
   verifyForgotPasswordOtp,
+  changePassword,
+  requestEmailChange,
+  verifyEmailChange,
+  revertEmailChange,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
 };
@@ -0,0 +1,574 @@
+import mongoose from "mongoose";
+import User from "../models/Users.js";
+import Conversation, { MUTE_FOREVER } from "../models/Conversations.js";
+import Message from "../models/Messages.js";
+import ApiError from "../utils/api-error.js";
+import ApiResponse from "../utils/api-response.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  SENDER_FIELDS,
+  MESSAGE_POPULATE,
+  MEMBER_FIELDS,
+  getConversationForMember,
+  postMessage,
+} from "../services/chat-service.js";
+import { emitToUser, joinConversationRoom } from "../socket/socket-emitter.js";
+import { getOnlineMap } from "../services/presence-service.js";
+import { markConversationRead } from "../services/receipt-service.js";
+import { searchMessages } from "../services/search-service.js";
+import { mentionsOfUserFilter } from "../services/mention-service.js";
+import {
+  editMessage,
+  deleteMessage,
+  getEditHistory,
+  getThreadRoot,
+  toggleReaction,
+  getPinnedMessages,
+  pinMessage,
+  unpinMessage,
+} from "../services/message-service.js";
+import { getTypingUserIds } from "../services/typing-service.js";
+import { assertCanDirectMessage } from "../services/friend-service.js";
+import {
+  getBlockedEitherWayIds,
+  hidePresence,
+} from "../services/block-service.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// ===================== HELPER FUNCTIONS =====================
+
+// One page of messages, newest first; older pages via ?cursor=<last _id>
+const findMessagesPage = async (filter, query) => {
+  // take query params
+  let { cursor = null, limit = 30 } = query;
+
+  // enforce limit max 50 for safety
+  limit = Math.min(parseInt(limit, 10) || 30, 50);
+
+  // ------------------------------
+  // Cursor Pagination Filter
+  // ------------------------------
+  if (cursor) {
+    try {
+      filter._id = { $lt: new mongoose.Types.ObjectId(cursor) };
+    } catch (err) {
+      throw new ApiError(400, "Invalid cursor format");
+    }
+  }
+
+  const messages = await Message.find(filter)
+    .sort({ _id: -1 }) // newest first, older pages via cursor
+    .populate(MESSAGE_POPULATE)
+    .limit(limit);
+
+  // ------------------------------
+  //  Pagination Info
+  // ------------------------------
+  const hasMore = messages.length === limit;
+  const nextCursor = hasMore ? messages[messages.length - 1]._id : null;
+
+  return { messages, nextCursor, hasMore };
+};
+
+// My mute state of a conversation, as exposed to clients
+const muteState = (conversation, userId) => {
+  const muted = conversation.isMutedFor(userId);
+  return {
+    muted,
+    mutedUntil: muted ? conversation.getMember(userId).mutedUntil : null,
+  };
+};
+
+// Members on the other side of a block look offline (populated members)
+const maskBlockedMembers = (chat, blockedIds) => {
+  chat.members = chat.members.map((member) =>
+    member.user && blockedIds.has(String(member.user._id))
+      ? { ...member, user: hidePresence(member.user) }
+      : member,
+  );
+  return chat;
+};
+
+//---------------------------------------------------------
+// CREATE OR GET A DIRECT (1:1) CONVERSATION
+//---------------------------------------------------------
+const createOrGetDirectChat = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { userId } = req.body;
+
+  if (String(user._id) === String(userId)) {
+    throw new ApiError(400, "Cannot start a conversation with yourself");
+  }
+
+  const otherUser = await User.findById(userId).select("_id isVerified");
+  if (!otherUser || !otherUser.isVerified) {
+    throw new ApiError(404, "User not found");
+  }
+
+  const directKey = Conversation.buildDirectKey(user._id, otherUser._id);
+
+  // "friends only" users can't be pulled into a new chat by strangers
+  if (!(await Conversation.exists({ directKey }))) {
+    await assertCanDirectMessage(user._id, otherUser._id);
+  }
+
+  // Upsert on the unique directKey so two concurrent requests
+  // can never create two conversations for the same pair
+  const conversation = await Conversation.findOneAndUpdate(
+    { directKey },
+    {
+      $setOnInsert: {
+        type: "direct",
+        directKey,
+        members: [{ user: user._id }, { user: otherUser._id }],
+      },
+    },
+    { new: true, upsert: true },
+  ).populate("members.user", MEMBER_FIELDS);
+
+  // already-connected devices of both users start receiving this chat live
+  joinConversationRoom([user._id, otherUser._id], conversation._id);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, conversation, "Conversation fetched successfully"),
+    );
+});
+
+//---------------------------------------------------------
+// GET ALL CONVERSATIONS OF THE LOGGED-IN USER
+//---------------------------------------------------------
+const getMyChats = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  const conversations = await Conversation.find({ "members.user": user._id })
+    .sort({ lastMessageAt: -1, updatedAt: -1 })
+    .populate("members.user", MEMBER_FIELDS)
+    .populate({
+      path: "lastMessage",
+      select: "sender type content createdAt editedAt deletedAt",
+      populate: { path: "sender", select: SENDER_FIELDS },
+    });
+
+  // live presence of every member across all chats in one Redis round trip
+  const [onlineMap, blockedIds] = await Promise.all([
+    getOnlineMap(
+      conversations.flatMap((conversation) =>
+        conversation.members.map((member) => member.user?._id).filter(Boolean),
+      ),
+    ),
+    getBlockedEitherWayIds(user._id),
+  ]);
+  const liveStatus = (id) => (onlineMap.get(String(id)) ? "online" : "offline");
+
+  // unread counts are maintained per member on write, no message scans here
+  const chats = conversations.map((conversation) => {
+    const { unreadCount } = conversation.getMember(user._id);
+
+    const chat = conversation.toObject();
+    chat.members.forEach((m) => {
+      if (m.user) m.user.status = liveStatus(m.user._id);
+    });
+
+    return {
+      ...maskBlockedMembers(chat, blockedIds),
+      unreadCount,
+      ...muteState(conversation, user._id),
+    };
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, chats, "Conversations fetched successfully"));
+});
+
+//---------------------------------------------------------
+// GET A SINGLE CONVERSATION
+//---------------------------------------------------------
+const getChatById = asyncHandler(async (req, res) => {
+  const conversation = await getConversationForMember(
+    req.params.conversationId,
+    req.user._id,
+  );
+
+  await conversation.populate("members.user", MEMBER_FIELDS);
+
+  // live presence, like the chat list (the stored status can be stale)
+  const [onlineMap, blockedIds] = await Promise.all([
+    getOnlineMap(
+      conversation.members.map((member) => member.user?._id).filter(Boolean),
+    ),
+    getBlockedEitherWayIds(req.user._id),
+  ]);
+
+  const plain = conversation.toObject();
+  plain.members.forEach((m) => {
+    if (m.user)
+      m.user.status = onlineMap.get(String(m.user._id)) ? "online" : "offline";
+  });
+
+  const chat = {
+    ...maskBlockedMembers(plain, blockedIds),
+    ...muteState(conversation, req.user._id),
+  };
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, chat, "Conversation fetched successfully"));
+});
+
+//---------------------------------------------------------
+// SEND A MESSAGE
+//---------------------------------------------------------
+const sendMessage = asyncHandler(async (req, res) => {
+  const message = await postMessage({
+    conversationId: req.params.conversationId,
+    senderId: req.user._id,
+    content: req.body.content,
+    attachmentId: req.body.attachmentId,
+    replyToId: req.body.replyToId,
+    threadRootId: req.body.threadRootId,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, message, "Message sent successfully"));
+});
+
+//---------------------------------------------------------
+// GET MESSAGES (CURSOR PAGINATION, NEWEST FIRST)
+//---------------------------------------------------------
+const getMessages = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const conversation = await getConversationForMember(
+    req.params.conversationId,
+    user._id,
+  );
+
+  // thread replies live in their thread; messages I deleted "for me" are left out
+  const page = await findMessagesPage(
+    {
+      conversation: conversation._id,
+      threadRoot: null,
+      hiddenFor: { $ne: user._id },
+    },
+    req.query,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, page, "Messages fetched successfully"));
+});
+
+//---------------------------------------------------------
+// GET MESSAGES MENTIONING ME (CURSOR PAGINATION, NEWEST FIRST)
+//---------------------------------------------------------
+const getMyMentions = asyncHandler(async (req, res) => {
+  const page = await findMessagesPage(
+    await mentionsOfUserFilter(req.user._id),
+    req.query,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, page, "Mentions fetched successfully"));
+});
+
+//---------------------------------------------------------
+// SEARCH MY MESSAGES (RANKED, CURSOR PAGINATION)
+//---------------------------------------------------------
+const searchChatMessages = asyncHandler(async (req, res) => {
+  const { q, conversationId, senderId, from, to, type, cursor, limit } =
+    req.query;
+
+  const page = await searchMessages({
+    userId: req.user._id,
+    q,
+    conversationId,
+    senderId,
+    from,
+    to,
+    type,
+    cursor,
+    limit,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, page, "Messages searched successfully"));
+});
+
+//---------------------------------------------------------
+// GET A THREAD: ITS ROOT + REPLIES (CURSOR PAGINATION, NEWEST FIRST)
+//---------------------------------------------------------
+const getThreadMessages = asyncHandler(async (req, res) => {
+  const { root } = await getThreadRoot({
+    conversationId: req.params.conversationId,
+    messageId: req.params.messageId,
+    userId: req.user._id,
+  });
+
+  const page = await findMessagesPage(
+    { threadRoot: root._id, hiddenFor: { $ne: req.user._id } },
+    req.query,
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { root, ...page }, "Thread fetched successfully"),
+    );
+});
+
+//---------------------------------------------------------
+// EDIT MY MESSAGE (WITHIN THE EDIT WINDOW)
+//---------------------------------------------------------
+const editChatMessage = asyncHandler(async (req, res) => {
+  const message = await editMessage({
+    conversationId: req.params.conversationId,
+    messageId: req.params.messageId,
+    userId: req.user._id,
+    content: req.body.content,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, message, "Message edited successfully"));
+});
+
+//---------------------------------------------------------
+// DELETE A MESSAGE FOR ME OR FOR EVERYONE
+//---------------------------------------------------------
+const deleteChatMessage = asyncHandler(async (req, res) => {
+  const deleted = await deleteMessage({
+    conversationId: req.params.conversationId,
+    messageId: req.params.messageId,
+    userId: req.user._id,
+    scope: req.query.scope,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, deleted, "Message deleted successfully"));
+});
+
+//---------------------------------------------------------
+// EDIT HISTORY OF A MESSAGE (GROUP MODERATORS)
+//---------------------------------------------------------
+const getMessageHistory = asyncHandler(async (req, res) => {
+  const history = await getEditHistory({
+    conversationId: req.params.conversationId,
+    messageId: req.params.messageId,
+    userId: req.user._id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, history, "Edit history fetched successfully"));
+});
+
+//---------------------------------------------------------
+// TOGGLE MY EMOJI REACTION ON A MESSAGE
+//---------------------------------------------------------
+const reactToMessage = asyncHandler(async (req, res) => {
+  const reaction = await toggleReaction({
+    conversationId: req.params.conversationId,
+    messageId: req.params.messageId,
+    userId: req.user._id,
+    emoji: req.body.emoji,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        reaction,
+        reaction.action === "added" ? "Reaction added" : "Reaction removed",
+      ),
+    );
+});
+
+//---------------------------------------------------------
+// PINNED MESSAGES (GROUP ADMINS, OR EITHER SIDE OF A DIRECT CHAT)
+//---------------------------------------------------------
+const getPins = asyncHandler(async (req, res) => {
+  const messages = await getPinnedMessages({
+    conversationId: req.params.conversationId,
+    userId: req.user._id,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, messages, "Pinned messages fetched successfully"),
+    );
+});
+
+const pinChatMessage = asyncHandler(async (req, res) => {
+  const message = await pinMessage({
+    conversationId: req.params.conversationId,
+    messageId: req.params.messageId,
+    userId: req.user._id,
+  });
+
+  return res.status(200).json(new ApiResponse(200, message, "Message pinned"));
+});
+
+const unpinChatMessage = asyncHandler(async (req, res) => {
+  const unpinned = await unpinMessage({
+    conversationId: req.params.conversationId,
+    messageId: req.params.messageId,
+    userId: req.user._id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, unpinned, "Message unpinned"));
+});
+
+//---------------------------------------------------------
+// MARK CONVERSATION READ UP TO A MESSAGE
+//---------------------------------------------------------
+const markChatRead = asyncHandler(async (req, res) => {
+  const readState = await markConversationRead({
+    conversationId: req.params.conversationId,
+    userId: req.user._id,
+    messageId: req.body.messageId,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, readState, "Conversation marked as read"));
+});
+
+//---------------------------------------------------------
+// WHO IS TYPING (for clients opening a chat mid-conversation)
+//---------------------------------------------------------
+const getTypingUsers = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const conversation = await getConversationForMember(
+    req.params.conversationId,
+    user._id,
+  );
+
+  const blockedIds = await getBlockedEitherWayIds(user._id);
+  const otherIds = conversation.members
+    .map((member) => String(member.user))
+    .filter((id) => id !== String(user._id) && !blockedIds.has(id));
+  const userIds = await getTypingUserIds(conversation._id, otherIds);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { userIds }, "Typing users fetched"));
+});
+
+//---------------------------------------------------------
+// MUTE A CONVERSATION (optional `hours`, default until unmuted)
+//---------------------------------------------------------
+const muteChat = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const conversation = await getConversationForMember(
+    req.params.conversationId,
+    user._id,
+  );
+
+  const { hours } = req.body;
+  const mutedUntil = hours
+    ? new Date(Date.now() + Number(hours) * HOUR_MS)
+    : MUTE_FOREVER;
+
+  // only my own member entry is touched, membership edits can't be lost
+  await Conversation.updateOne(
+    { _id: conversation._id, "members.user": user._id },
+    { $set: { "members.$.mutedUntil": mutedUntil } },
+  );
+
+  const state = { conversationId: conversation._id, muted: true, mutedUntil };
+  emitToUser(user._id, "chat_muted", state);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, state, "Conversation muted"));
+});
+
+//---------------------------------------------------------
+// UNMUTE A CONVERSATION
+//---------------------------------------------------------
+const unmuteChat = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const conversation = await getConversationForMember(
+    req.params.conversationId,
+    user._id,
+  );
+
+  await Conversation.updateOne(
+    { _id: conversation._id, "members.user": user._id },
+    { $set: { "members.$.mutedUntil": null } },
+  );
+
+  const state = {
+    conversationId: conversation._id,
+    muted: false,
+    mutedUntil: null,
+  };
+  emitToUser(user._id, "chat_muted", state);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, state, "Conversation unmuted"));
+});
+
+//---------------------------------------------------------
+// GET MY MUTED CONVERSATIONS
+//---------------------------------------------------------
+const getMutedChats = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  const conversations = await Conversation.find({
+    members: {
+      $elemMatch: { user: user._id, mutedUntil: { $gt: new Date() } },
+    },
+  })
+    .sort({ lastMessageAt: -1, updatedAt: -1 })
+    .select("type name image members lastMessageAt")
+    .populate("members.user", "username avatar");
+
+  const chats = conversations.map((conversation) => ({
+    _id: conversation._id,
+    type: conversation.type,
+    name: conversation.name,
+    image: conversation.image,
+    members: conversation.members.map((member) => member.user),
+    ...muteState(conversation, user._id),
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, chats, "Muted conversations fetched"));
+});
+
+export {
+  createOrGetDirectChat,
+  getMyChats,
+  getChatById,
+  sendMessage,
+  getMessages,
+  searchChatMessages,
+  getMyMentions,
+  getThreadMessages,
+  editChatMessage,
+  deleteChatMessage,
+  getMessageHistory,
+  reactToMessage,
+  getPins,
+  pinChatMessage,
+  unpinChatMessage,
+  markChatRead,
+  getTypingUsers,
+  muteChat,
+  unmuteChat,
+  getMutedChats,
+};
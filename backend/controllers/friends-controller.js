@@ -0,0 +1,273 @@
+import User from "../models/Users.js";
+import FriendRequest from "../models/FriendRequests.js";
+import ApiError from "../utils/api-error.js";
+import ApiResponse from "../utils/api-response.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { areFriends } from "../services/friend-service.js";
+import { isBlockedBetween } from "../services/block-service.js";
+import { withLivePresence } from "../services/presence-service.js";
+import { createNotification } from "../services/notification-service.js";
+import { emitToUser } from "../socket/socket-emitter.js";
+
+// Public fields of the other user in friend lists / requests
+const FRIEND_FIELDS = "username avatar bio lastSeen status";
+
+// ===================== HELPER FUNCTIONS =====================
+
+// Add each user to the other's friends list
+const makeFriends = async (userA, userB) => {
+  await User.updateOne({ _id: userA }, { $addToSet: { friends: userB } });
+  await User.updateOne({ _id: userB }, { $addToSet: { friends: userA } });
+};
+
+// Load a pending request and make sure the caller is on the right side of it
+const getPendingRequest = async (requestId, userId, side) => {
+  const request = await FriendRequest.findOne({
+    _id: requestId,
+    status: "pending",
+  });
+  if (!request || String(request[side]) !== String(userId)) {
+    throw new ApiError(404, "Friend request not found");
+  }
+  return request;
+};
+
+// Flip a pending request once; a concurrent accept/decline/cancel loses
+const resolveRequest = async (request, status) => {
+  const resolved = await FriendRequest.findOneAndUpdate(
+    { _id: request._id, status: "pending" },
+    { $set: { status, respondedAt: new Date() } },
+    { new: true },
+  );
+  if (!resolved) {
+    throw new ApiError(409, "Friend request was already handled");
+  }
+  return resolved;
+};
+
+//---------------------------------------------------------
+// GET MY FRIENDS
+//---------------------------------------------------------
+const getFriends = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .select("friends")
+    .populate("friends", FRIEND_FIELDS);
+
+  const friends = await withLivePresence(user?.friends ?? []);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, friends, "Friends fetched successfully"));
+});
+
+//---------------------------------------------------------
+// GET PENDING REQUESTS (?direction=incoming|outgoing, default both)
+//---------------------------------------------------------
+const getFriendRequests = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const { direction } = req.query;
+
+  const [incoming, outgoing] = await Promise.all([
+    direction === "outgoing"
+      ? []
+      : FriendRequest.find({ to: userId, status: "pending" })
+          .sort({ createdAt: -1 })
+          .populate("from", FRIEND_FIELDS),
+    direction === "incoming"
+      ? []
+      : FriendRequest.find({ from: userId, status: "pending" })
+          .sort({ createdAt: -1 })
+          .populate("to", FRIEND_FIELDS),
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { incoming, outgoing },
+        "Friend requests fetched successfully",
+      ),
+    );
+});
+
+//---------------------------------------------------------
+// SEND A FRIEND REQUEST
+//---------------------------------------------------------
+const sendFriendRequest = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { userId } = req.body;
+
+  if (String(userId) === String(user._id)) {
+    throw new ApiError(400, "You cannot send a friend request to yourself");
+  }
+
+  const target = await User.findById(userId).select("_id isVerified");
+  if (!target || !target.isVerified) {
+    throw new ApiError(404, "User not found");
+  }
+
+  if ((user.blockedUsers ?? []).some((id) => String(id) === String(userId))) {
+    throw new ApiError(403, "Unblock this user first");
+  }
+  // indistinguishable from a missing user for someone who was blocked
+  if (await isBlockedBetween(user._id, target._id)) {
+    throw new ApiError(404, "User not found");
+  }
+
+  if (await areFriends(user._id, target._id)) {
+    throw new ApiError(409, "You are already friends");
+  }
+
+  const pairKey = FriendRequest.buildPairKey(user._id, target._id);
+  const existing = await FriendRequest.findOne({ pairKey, status: "pending" });
+
+  // they already asked us → sending back simply accepts
+  if (existing && String(existing.from) === String(target._id)) {
+    const accepted = await resolveRequest(existing, "accepted");
+    await makeFriends(user._id, target._id);
+
+    emitToUser(target._id, "friend_request_accepted", {
+      requestId: accepted._id,
+      userId: user._id,
+    });
+    await createNotification({
+      user: target._id,
+      type: "friend_accepted",
+      actor: user._id,
+    });
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, accepted, "Friend request accepted"));
+  }
+
+  if (existing) {
+    throw new ApiError(409, "Friend request already sent");
+  }
+
+  let request;
+  try {
+    request = await FriendRequest.create({
+      from: user._id,
+      to: target._id,
+      pairKey,
+    });
+  } catch (error) {
+    // partial unique index: a request for this pair appeared meanwhile
+    if (error.code === 11000) {
+      throw new ApiError(409, "Friend request already sent");
+    }
+    throw error;
+  }
+
+  await request.populate("from", FRIEND_FIELDS);
+  emitToUser(target._id, "friend_request_received", request);
+  await createNotification({
+    user: target._id,
+    type: "friend_request",
+    actor: user._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, request, "Friend request sent"));
+});
+
+//---------------------------------------------------------
+// ACCEPT A FRIEND REQUEST (recipient)
+//---------------------------------------------------------
+const acceptFriendRequest = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const request = await getPendingRequest(req.params.requestId, user._id, "to");
+
+  const accepted = await resolveRequest(request, "accepted");
+  await makeFriends(request.from, request.to);
+
+  emitToUser(request.from, "friend_request_accepted", {
+    requestId: accepted._id,
+    userId: user._id,
+  });
+  await createNotification({
+    user: request.from,
+    type: "friend_accepted",
+    actor: user._id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, accepted, "Friend request accepted"));
+});
+
+//---------------------------------------------------------
+// DECLINE A FRIEND REQUEST (recipient)
+//---------------------------------------------------------
+const declineFriendRequest = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const request = await getPendingRequest(req.params.requestId, user._id, "to");
+
+  const declined = await resolveRequest(request, "declined");
+
+  emitToUser(request.from, "friend_request_declined", {
+    requestId: declined._id,
+    userId: user._id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, declined, "Friend request declined"));
+});
+
+//---------------------------------------------------------
+// CANCEL A FRIEND REQUEST (sender)
+//---------------------------------------------------------
+const cancelFriendRequest = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const request = await getPendingRequest(
+    req.params.requestId,
+    user._id,
+    "from",
+  );
+
+  const cancelled = await resolveRequest(request, "cancelled");
+
+  emitToUser(request.to, "friend_request_cancelled", {
+    requestId: cancelled._id,
+    userId: user._id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, cancelled, "Friend request cancelled"));
+});
+
+//---------------------------------------------------------
+// UNFRIEND
+//---------------------------------------------------------
+const removeFriend = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { userId } = req.params;
+
+  if (!(await areFriends(user._id, userId))) {
+    throw new ApiError(404, "This user is not in your friends list");
+  }
+
+  await User.updateOne({ _id: user._id }, { $pull: { friends: userId } });
+  await User.updateOne({ _id: userId }, { $pull: { friends: user._id } });
+
+  emitToUser(userId, "friend_removed", { userId: user._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Friend removed successfully"));
+});
+
+export {
+  getFriends,
+  getFriendRequests,
+  sendFriendRequest,
+  acceptFriendRequest,
+  declineFriendRequest,
+  cancelFriendRequest,
+  removeFriend,
+};
@@ -0,0 +1,424 @@
+import mongoose from "mongoose";
+import User from "../models/Users.js";
+import Conversation, { ROLE_RANK } from "../models/Conversations.js";
+import Message from "../models/Messages.js";
+import ApiError from "../utils/api-error.js";
+import ApiResponse from "../utils/api-response.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  MEMBER_FIELDS,
+  getConversationForMember,
+  postSystemMessage,
+} from "../services/chat-service.js";
+import {
+  emitToUser,
+  emitToConversation,
+  joinConversationRoom,
+  leaveConversationRoom,
+} from "../socket/socket-emitter.js";
+import { removeMessageAttachments } from "../services/media-service.js";
+import { assertCanAddToGroup } from "../services/friend-service.js";
+
+const MAX_GROUP_MEMBERS = 256;
+
+// ===================== HELPER FUNCTIONS =====================
+
+// Load a group the caller belongs to (direct chats are rejected)
+const getGroupForMember = async (conversationId, userId) => {
+  const conversation = await getConversationForMember(conversationId, userId);
+  if (conversation.type !== "group") {
+    throw new ApiError(400, "This action is only available for group chats");
+  }
+  return conversation;
+};
+
+const requireRole = (group, userId, minRole, message) => {
+  if (!group.hasRole(userId, minRole)) throw new ApiError(403, message);
+};
+
+// Optimistic concurrency: two admins editing at once → second one retries
+const saveGroup = async (group) => {
+  try {
+    await group.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new ApiError(409, "Group was modified concurrently, please retry");
+    }
+    throw error;
+  }
+};
+
+// All ids must belong to existing, verified users
+const findUsersOrFail = async (userIds) => {
+  const users = await User.find({
+    _id: { $in: userIds },
+    isVerified: true,
+  }).select("username");
+
+  if (users.length !== userIds.length) {
+    throw new ApiError(404, "One or more users not found");
+  }
+  return users;
+};
+
+const uniqueIds = (ids = []) => [...new Set(ids.map(String))];
+
+const withoutMember = (group, userId) =>
+  group.members.filter((member) => String(member.user) !== String(userId));
+
+// Populate members, tell the room about it and answer the request
+const sendGroup = async (res, status, group, message) => {
+  await group.populate("members.user", MEMBER_FIELDS);
+  emitToConversation(group._id, "group_updated", group);
+
+  return res.status(status).json(new ApiResponse(status, group, message));
+};
+
+//---------------------------------------------------------
+// CREATE GROUP
+//---------------------------------------------------------
+const createGroup = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { name, image = "" } = req.body;
+
+  const memberIds = uniqueIds(req.body.memberIds).filter(
+    (id) => id !== String(user._id),
+  );
+
+  if (memberIds.length === 0) {
+    throw new ApiError(400, "A group needs at least one other member");
+  }
+  if (memberIds.length + 1 > MAX_GROUP_MEMBERS) {
+    throw new ApiError(
+      400,
+      `A group can have at most ${MAX_GROUP_MEMBERS} members`,
+    );
+  }
+
+  await findUsersOrFail(memberIds);
+  await assertCanAddToGroup(user._id, memberIds);
+
+  const group = await Conversation.create({
+    type: "group",
+    name,
+    image,
+    createdBy: user._id,
+    members: [
+      { user: user._id, role: "owner" },
+      ...memberIds.map((id) => ({ user: id, role: "member" })),
+    ],
+  });
+
+  // every member's connected devices start receiving the group live
+  joinConversationRoom([user._id, ...memberIds], group._id);
+
+  await postSystemMessage({
+    conversation: group,
+    actorId: user._id,
+    action: "group_created",
+    content: `${user.username} created the group "${name}"`,
+  });
+
+  await group.populate("members.user", MEMBER_FIELDS);
+  memberIds.forEach((id) => emitToUser(id, "group_added", group));
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, group, "Group created successfully"));
+});
+
+//---------------------------------------------------------
+// UPDATE GROUP INFO (NAME, IMAGE) — admins
+//---------------------------------------------------------
+const updateGroup = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const group = await getGroupForMember(req.params.conversationId, user._id);
+  requireRole(group, user._id, "admin", "Only admins can edit group info");
+
+  const { name, image } = req.body;
+  const changes = [];
+
+  if (name !== undefined && name !== group.name) {
+    group.name = name;
+    changes.push(`changed the group name to "${name}"`);
+  }
+  if (image !== undefined && image !== group.image) {
+    group.image = image;
+    changes.push("changed the group image");
+  }
+
+  if (changes.length === 0) {
+    throw new ApiError(400, "Nothing to update");
+  }
+
+  await saveGroup(group);
+
+  await postSystemMessage({
+    conversation: group,
+    actorId: user._id,
+    action: "group_updated",
+    content: `${user.username} ${changes.join(" and ")}`,
+  });
+
+  return sendGroup(res, 200, group, "Group updated successfully");
+});
+
+//---------------------------------------------------------
+// ADD MEMBERS — admins
+//---------------------------------------------------------
+const addMembers = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const group = await getGroupForMember(req.params.conversationId, user._id);
+  requireRole(group, user._id, "admin", "Only admins can add members");
+
+  const newIds = uniqueIds(req.body.userIds).filter(
+    (id) => !group.isMember(id),
+  );
+
+  if (newIds.length === 0) {
+    throw new ApiError(409, "Users are already members of this group");
+  }
+  if (group.members.length + newIds.length > MAX_GROUP_MEMBERS) {
+    throw new ApiError(
+      400,
+      `A group can have at most ${MAX_GROUP_MEMBERS} members`,
+    );
+  }
+
+  const newUsers = await findUsersOrFail(newIds);
+  await assertCanAddToGroup(user._id, newIds);
+
+  newIds.forEach((id) => group.members.push({ user: id, role: "member" }));
+  await saveGroup(group);
+
+  joinConversationRoom(newIds, group._id);
+
+  await postSystemMessage({
+    conversation: group,
+    actorId: user._id,
+    action: "members_added",
+    targets: newIds,
+    content: `${user.username} added ${newUsers.map((u) => u.username).join(", ")}`,
+  });
+
+  const response = await sendGroup(
+    res,
+    200,
+    group,
+    "Members added successfully",
+  );
+  newIds.forEach((id) => emitToUser(id, "group_added", group));
+  return response;
+});
+
+//---------------------------------------------------------
+// REMOVE MEMBER — admins (only the owner can remove admins)
+//---------------------------------------------------------
+const removeMember = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { userId } = req.params;
+  const group = await getGroupForMember(req.params.conversationId, user._id);
+  requireRole(group, user._id, "admin", "Only admins can remove members");
+
+  if (String(userId) === String(user._id)) {
+    throw new ApiError(400, "Use leave to exit the group yourself");
+  }
+
+  const target = group.getMember(userId);
+  if (!target) throw new ApiError(404, "User is not a member of this group");
+
+  if (ROLE_RANK[target.role] >= ROLE_RANK[group.getRole(user._id)]) {
+    throw new ApiError(403, `You cannot remove a group ${target.role}`);
+  }
+
+  const targetUser = await User.findById(userId).select("username");
+
+  group.members = withoutMember(group, userId);
+  await saveGroup(group);
+
+  // posted before leaving the room so the removed user sees it too
+  await postSystemMessage({
+    conversation: group,
+    actorId: user._id,
+    action: "member_removed",
+    targets: [userId],
+    content: `${user.username} removed ${targetUser?.username ?? "a member"}`,
+  });
+
+  leaveConversationRoom([userId], group._id);
+  emitToUser(userId, "group_removed", { conversationId: group._id });
+
+  return sendGroup(res, 200, group, "Member removed successfully");
+});
+
+//---------------------------------------------------------
+// PROMOTE MEMBER TO ADMIN — admins
+//---------------------------------------------------------
+const promoteAdmin = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { userId } = req.params;
+  const group = await getGroupForMember(req.params.conversationId, user._id);
+  requireRole(group, user._id, "admin", "Only admins can promote members");
+
+  const target = group.getMember(userId);
+  if (!target) throw new ApiError(404, "User is not a member of this group");
+  if (target.role !== "member") {
+    throw new ApiError(409, `User is already a group ${target.role}`);
+  }
+
+  const targetUser = await User.findById(userId).select("username");
+
+  target.role = "admin";
+  await saveGroup(group);
+
+  await postSystemMessage({
+    conversation: group,
+    actorId: user._id,
+    action: "admin_promoted",
+    targets: [userId],
+    content: `${user.username} made ${targetUser?.username ?? "a member"} an admin`,
+  });
+
+  return sendGroup(res, 200, group, "Member promoted to admin");
+});
+
+//---------------------------------------------------------
+// DEMOTE ADMIN TO MEMBER — owner only
+//---------------------------------------------------------
+const demoteAdmin = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { userId } = req.params;
+  const group = await getGroupForMember(req.params.conversationId, user._id);
+  requireRole(group, user._id, "owner", "Only the owner can demote admins");
+
+  const target = group.getMember(userId);
+  if (!target) throw new ApiError(404, "User is not a member of this group");
+  if (target.role !== "admin") {
+    throw new ApiError(409, "User is not a group admin");
+  }
+
+  const targetUser = await User.findById(userId).select("username");
+
+  target.role = "member";
+  await saveGroup(group);
+
+  await postSystemMessage({
+    conversation: group,
+    actorId: user._id,
+    action: "admin_demoted",
+    targets: [userId],
+    content: `${user.username} removed ${targetUser?.username ?? "a member"} as admin`,
+  });
+
+  return sendGroup(res, 200, group, "Admin demoted to member");
+});
+
+//---------------------------------------------------------
+// TRANSFER OWNERSHIP — owner only (old owner stays as admin)
+//---------------------------------------------------------
+const transferOwnership = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { userId } = req.body;
+  const group = await getGroupForMember(req.params.conversationId, user._id);
+  requireRole(
+    group,
+    user._id,
+    "owner",
+    "Only the owner can transfer ownership",
+  );
+
+  if (String(userId) === String(user._id)) {
+    throw new ApiError(400, "You already own this group");
+  }
+
+  const target = group.getMember(userId);
+  if (!target) throw new ApiError(404, "User is not a member of this group");
+
+  const targetUser = await User.findById(userId).select("username");
+
+  target.role = "owner";
+  group.getMember(user._id).role = "admin";
+  await saveGroup(group);
+
+  await postSystemMessage({
+    conversation: group,
+    actorId: user._id,
+    action: "ownership_transferred",
+    targets: [userId],
+    content: `${user.username} made ${targetUser?.username ?? "a member"} the group owner`,
+  });
+
+  return sendGroup(res, 200, group, "Ownership transferred successfully");
+});
+
+//---------------------------------------------------------
+// LEAVE GROUP
+//---------------------------------------------------------
+const leaveGroup = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const group = await getGroupForMember(req.params.conversationId, user._id);
+
+  if (group.getRole(user._id) === "owner") {
+    throw new ApiError(
+      400,
+      "Transfer ownership or delete the group before leaving",
+    );
+  }
+
+  group.members = withoutMember(group, user._id);
+  await saveGroup(group);
+
+  leaveConversationRoom([user._id], group._id);
+  emitToUser(user._id, "group_removed", { conversationId: group._id });
+
+  await postSystemMessage({
+    conversation: group,
+    actorId: user._id,
+    action: "member_left",
+    content: `${user.username} left the group`,
+  });
+
+  await group.populate("members.user", MEMBER_FIELDS);
+  emitToConversation(group._id, "group_updated", group);
+
+  return res.status(200).json(new ApiResponse(200, null, "You left the group"));
+});
+
+//---------------------------------------------------------
+// DELETE GROUP — owner only
+//---------------------------------------------------------
+const deleteGroup = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const group = await getGroupForMember(req.params.conversationId, user._id);
+  requireRole(group, user._id, "owner", "Only the owner can delete the group");
+
+  const memberIds = group.members.map((member) => member.user);
+
+  emitToConversation(group._id, "group_deleted", { conversationId: group._id });
+  leaveConversationRoom(memberIds, group._id);
+
+  const attachmentMessageIds = await Message.find({
+    conversation: group._id,
+    attachment: { $ne: null },
+  }).distinct("_id");
+  await removeMessageAttachments(attachmentMessageIds);
+
+  await Message.deleteMany({ conversation: group._id });
+  await Conversation.deleteOne({ _id: group._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Group deleted successfully"));
+});
+
+export {
+  createGroup,
+  updateGroup,
+  addMembers,
+  removeMember,
+  promoteAdmin,
+  demoteAdmin,
+  transferOwnership,
+  leaveGroup,
+  deleteGroup,
+};
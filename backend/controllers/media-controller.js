@@ -0,0 +1,52 @@
+import ApiResponse from "../utils/api-response.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { storeUpload, deleteUpload } from "../services/media-service.js";
+
+// Public shape of an upload (no storage keys or driver details)
+const toAttachmentResponse = (attachment) => ({
+  id: attachment._id,
+  kind: attachment.kind,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  url: attachment.file.url,
+  thumbnailUrl: attachment.thumbnail?.url ?? null,
+  originalName: attachment.originalName,
+  width: attachment.width,
+  height: attachment.height,
+});
+
+//---------------------------------------------------------
+// UPLOAD AN ATTACHMENT (linked to a message when it is sent)
+//---------------------------------------------------------
+const uploadMedia = asyncHandler(async (req, res) => {
+  const attachment = await storeUpload({
+    file: req.file,
+    uploaderId: req.user._id,
+  });
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        toAttachmentResponse(attachment),
+        "File uploaded successfully",
+      ),
+    );
+});
+
+//---------------------------------------------------------
+// DELETE AN UNSENT ATTACHMENT
+//---------------------------------------------------------
+const deleteMedia = asyncHandler(async (req, res) => {
+  await deleteUpload({
+    attachmentId: req.params.attachmentId,
+    uploaderId: req.user._id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "File deleted successfully"));
+});
+
+export { uploadMedia, deleteMedia };
@@ -0,0 +1,103 @@
+import ApiResponse from "../utils/api-response.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { clientLink } from "../utils/client-url.js";
+import {
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences,
+  unsubscribeFromDigest,
+} from "../services/notification-service.js";
+
+//---------------------------------------------------------
+// GET MY NOTIFICATIONS (?cursor=&limit=&unread=true)
+//---------------------------------------------------------
+const getNotifications = asyncHandler(async (req, res) => {
+  const { cursor, limit, unread } = req.query;
+
+  const page = await listNotifications(req.user._id, {
+    cursor,
+    limit,
+    unread,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, page, "Notifications fetched successfully"));
+});
+
+//---------------------------------------------------------
+// MARK ONE / ALL AS READ
+//---------------------------------------------------------
+const markRead = asyncHandler(async (req, res) => {
+  const notification = await markNotificationRead(
+    req.user._id,
+    req.params.notificationId,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, notification, "Notification marked as read"));
+});
+
+const markAllRead = asyncHandler(async (req, res) => {
+  const result = await markAllNotificationsRead(req.user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "All notifications marked as read"));
+});
+
+//---------------------------------------------------------
+// PREFERENCES
+//---------------------------------------------------------
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+  const preferences = await getPreferences(req.user._id);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        preferences,
+        "Notification preferences fetched successfully",
+      ),
+    );
+});
+
+const updateNotificationPreferences = asyncHandler(async (req, res) => {
+  const preferences = await updatePreferences(req.user._id, req.body);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        preferences,
+        "Notification preferences updated successfully",
+      ),
+    );
+});
+
+//---------------------------------------------------------
+// UNSUBSCRIBE FROM DIGESTS (link in the email, no login)
+//---------------------------------------------------------
+const unsubscribeDigest = asyncHandler(async (req, res) => {
+  const unsubscribed = await unsubscribeFromDigest(req.query.token);
+
+  return res.redirect(
+    clientLink("/settings/notifications", {
+      unsubscribed: unsubscribed ? "digest" : "invalid",
+    }),
+  );
+});
+
+export {
+  getNotifications,
+  markRead,
+  markAllRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  unsubscribeDigest,
+};
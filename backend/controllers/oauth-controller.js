@@ -0,0 +1,197 @@
+import User from "../models/Users.js";
+import ApiError from "../utils/api-error.js";
+import ApiResponse from "../utils/api-response.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { clientLink } from "../utils/client-url.js";
+import { oauthStateCookieOptions } from "../utils/auth-cookies.js";
+import { verifyAccessToken } from "../middlewares/auth-middleware.js";
+import { getProvider, listProviders } from "../oauth/index.js";
+import {
+  beginAuthorization,
+  completeAuthorization,
+  findOrCreateUser,
+  linkAccount,
+  unlinkAccount,
+} from "../services/oauth-service.js";
+import { startSession } from "../services/session-service.js";
+import { createLoginChallenge } from "../services/two-factor-service.js";
+
+// ===================== HELPER FUNCTIONS =====================
+
+// Only configured providers exist as far as clients are concerned
+const requireProvider = (name) => {
+  const provider = getProvider(name);
+  if (!provider) throw new ApiError(404, "Login provider not found");
+  return provider;
+};
+
+// Public shape of a linked identity
+// Name of the cookie that ties a flow to the browser that started it
+const STATE_COOKIE = "oauthState";
+
+// The signed-in user of this browser, if the access cookie came along
+// (SameSite=Strict: usually not on the provider's redirect)
+const currentUserId = async (req) => {
+  if (!req.cookies?.accessToken) return null;
+  try {
+    const { user } = await verifyAccessToken(req.cookies.accessToken);
+    return String(user._id);
+  } catch (error) {
+    return null;
+  }
+};
+
+const toAccountResponse = (account) => ({
+  provider: account.provider,
+  email: account.email,
+  linkedAt: account.linkedAt,
+});
+
+// ===================== LIST PROVIDERS (LOGIN BUTTONS) =====================
+const getProviders = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, listProviders(), "Providers fetched successfully"),
+    );
+});
+
+// ===================== START LOGIN (REDIRECT TO PROVIDER) =====================
+const startOAuthLogin = asyncHandler(async (req, res) => {
+  const provider = requireProvider(req.params.provider);
+
+  const { authorizationUrl, stateCookie } = await beginAuthorization(provider);
+  res.cookie(STATE_COOKIE, stateCookie, oauthStateCookieOptions);
+  return res.redirect(302, authorizationUrl);
+});
+
+// ===================== START LINKING (LOGGED IN) =====================
+// Returns the URL instead of redirecting: the client calls this with XHR
+// (cookies + CSRF-safe POST) and then navigates to it
+const startOAuthLink = asyncHandler(async (req, res) => {
+  const provider = requireProvider(req.params.provider);
+
+  const { authorizationUrl, stateCookie } = await beginAuthorization(provider, {
+    mode: "link",
+    userId: req.user._id,
+    sessionId: req.sessionId,
+  });
+  res.cookie(STATE_COOKIE, stateCookie, oauthStateCookieOptions);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { authorizationUrl }, "Continue at the provider"),
+    );
+});
+
+// ===================== PROVIDER CALLBACK =====================
+// The browser lands here, so every outcome is a redirect to the client
+const handleOAuthCallback = asyncHandler(async (req, res) => {
+  const { code, state, error } = req.query;
+  const stateCookie = req.cookies?.[STATE_COOKIE];
+  let mode = "login";
+
+  //  one flow per cookie, whatever the outcome
+  res.clearCookie(STATE_COOKIE, oauthStateCookieOptions);
+
+  try {
+    const provider = requireProvider(req.params.provider);
+
+    //  User declined at the provider (still burns the state)
+    if (error) {
+      await completeAuthorization(provider, { state, stateCookie }).catch(
+        () => {},
+      );
+      throw new ApiError(400, `${provider.label} login was cancelled`);
+    }
+
+    const { request, profile } = await completeAuthorization(provider, {
+      code,
+      state,
+      stateCookie,
+    });
+    mode = request.mode;
+
+    //  Link mode: attach the identity to the user who started it, never
+    //  while this browser is signed in as someone else
+    if (mode === "link") {
+      const signedInAs = await currentUserId(req);
+      if (signedInAs && signedInAs !== request.userId) {
+        throw new ApiError(403, "Log in again to link this account");
+      }
+      await linkAccount(request.userId, {
+        provider: provider.name,
+        subject: profile.subject,
+        email: profile.email || "",
+      });
+      return res.redirect(
+        302,
+        clientLink("/oauth/callback", {
+          status: "linked",
+          provider: provider.name,
+        }),
+      );
+    }
+
+    const user = await findOrCreateUser(provider, profile);
+
+    //  2FA on: same challenge as a password login, answered by the client
+    if (user.twoFactor?.enabled) {
+      const { challengeId } = await createLoginChallenge(user._id);
+      return res.redirect(302, clientLink("/login/2fa", { challengeId }));
+    }
+
+    //  Same session + cookies as loginUser
+    await startSession(req, res, user);
+    return res.redirect(302, clientLink("/oauth/callback", { status: "ok" }));
+  } catch (err) {
+    if (!(err instanceof ApiError)) console.error("OAuth callback:", err);
+    return res.redirect(
+      302,
+      clientLink("/oauth/callback", {
+        status: "error",
+        mode,
+        error:
+          err instanceof ApiError ? err.message : "Login failed, please retry",
+      }),
+    );
+  }
+});
+
+// ===================== LINKED ACCOUNTS =====================
+const getLinkedAccounts = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(
+    "hasPassword oauthAccounts",
+  );
+  if (!user) throw new ApiError(404, "User not found");
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        hasPassword: user.hasPassword,
+        accounts: user.oauthAccounts.map(toAccountResponse),
+      },
+      "Linked accounts fetched successfully",
+    ),
+  );
+});
+
+// ===================== UNLINK A PROVIDER =====================
+const unlinkOAuthAccount = asyncHandler(async (req, res) => {
+  await unlinkAccount(req.user._id, req.params.provider);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Account unlinked successfully"));
+});
+
+export {
+  getProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  handleOAuthCallback,
+  getLinkedAccounts,
+  unlinkOAuthAccount,
+};
@@ -1,8 +1,23 @@
 import mongoose from "mongoose";
 import User from "../models/Users.js";
+import FriendRequest from "../models/FriendRequests.js";
 import ApiError from "../utils/api-error.js";
 import ApiResponse from "../utils/api-response.js";
 import asyncHandler from "../utils/asyncHandler.js";
+import { withLivePresence } from "../services/presence-service.js";
+import { emitToContacts } from "../services/contact-service.js";
+import { getRelationshipMap, areFriends } from "../services/friend-service.js";
+import { getBlockedByIds, hidePresence } from "../services/block-service.js";
+import { userSearchFilter } from "../services/search-service.js";
+import { emitToUser } from "../socket/socket-emitter.js";
+import { storeAvatar, removeStoredFile } from "../services/media-service.js";
+
+// Fields returned for the logged-in user's own profile
+const PROFILE_FIELDS =
+  "username email avatar bio privacy isVerified twoFactor.enabled notificationPreferences deletion.scheduledFor lastSeen status createdAt";
+
+const USERNAME_CHANGE_COOLDOWN_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 //---------------------------------------------------------
 // GET CURRENT USER
@@ -14,17 +29,18 @@ const getCurrentUser = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Unauthorized: No logged-in user found");
   }
 
-  const userData = await User.findById(user._id).select(
-    "username email avatar bio isVerified lastSeen status createdAt",
-  );
+  const userData = await User.findById(user._id).select(PROFILE_FIELDS);
 
   if (!userData) {
     throw new ApiError(404, "User not found in database");
   }
 
+  // stored status goes stale, Redis knows about live socket connections
+  const [liveUser] = await withLivePresence([userData]);
+
   return res
     .status(200)
-    .json(new ApiResponse(200, userData, "User data fetched successfully"));
+    .json(new ApiResponse(200, liveUser, "User data fetched successfully"));
 });
 
 //---------------------------------------------------------
@@ -43,18 +59,17 @@ const getAllUsers = asyncHandler(async (req, res) => {
   const andClauses = [
     // exclude current user
     { _id: { $ne: user._id } },
+    // people who blocked me can't be found
+    { _id: { $nin: await getBlockedByIds(user._id) } },
+    // nor unverified accounts (e.g. the "Deleted user" placeholder)
+    { isVerified: true },
   ];
 
   // ------------------------------
   // Search Filter
   // ------------------------------
   if (search.trim() !== "") {
-    andClauses.push({
-      $or: [
-        { username: { $regex: search, $options: "i" } },
-        { email: { $regex: search, $options: "i" } },
-      ],
-    });
+    andClauses.push(userSearchFilter(search));
   }
 
   // ------------------------------
@@ -87,15 +102,216 @@ const getAllUsers = asyncHandler(async (req, res) => {
   const hasMore = users.length === limit;
   const nextCursor = hasMore ? users[users.length - 1]._id : null;
 
+  // ------------------------------
+  //  Live presence + relationship to me
+  // ------------------------------
+  const relationships = await getRelationshipMap(
+    user,
+    users.map((u) => u._id),
+  );
+  const liveUsers = (await withLivePresence(users)).map((u) => {
+    const relationship = relationships.get(String(u._id));
+    return {
+      ...(relationship === "blocked" ? hidePresence(u) : u),
+      relationship,
+    };
+  });
+
   return res
     .status(200)
     .json(
       new ApiResponse(
         200,
-        { users, nextCursor, hasMore },
+        { users: liveUsers, nextCursor, hasMore },
         "Users fetched successfully",
       ),
     );
 });
 
-export { getCurrentUser, getAllUsers };
+//---------------------------------------------------------
+// UPDATE MY PROFILE (USERNAME, BIO, AVATAR)
+//---------------------------------------------------------
+const updateProfile = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    throw new ApiError(404, "User not found in database");
+  }
+
+  const { username, bio, directMessages } = req.body;
+
+  if (bio !== undefined) user.bio = bio;
+  if (directMessages !== undefined) {
+    user.privacy.directMessages = directMessages;
+  }
+
+  // ------------------------------
+  // Username: unique + cooldown
+  // ------------------------------
+  if (username !== undefined && username !== user.username) {
+    if (user.usernameChangedAt) {
+      const nextAllowed = new Date(
+        user.usernameChangedAt.getTime() +
+          USERNAME_CHANGE_COOLDOWN_DAYS * DAY_MS,
+      );
+      if (nextAllowed > new Date()) {
+        throw new ApiError(
+          429,
+          `You can change your username again after ${nextAllowed.toISOString()}`,
+        );
+      }
+    }
+
+    const taken = await User.exists({ username, _id: { $ne: user._id } });
+    if (taken) throw new ApiError(409, "Username is already taken");
+
+    user.username = username;
+    user.usernameChangedAt = new Date();
+  }
+
+  // ------------------------------
+  // Avatar (multipart field "avatar")
+  // ------------------------------
+  let previousAvatar = null;
+  let newAvatar = null;
+  if (req.file) {
+    newAvatar = await storeAvatar({ file: req.file });
+    previousAvatar = user.avatarStorage;
+    user.avatar = newAvatar.url;
+    user.avatarStorage = {
+      key: newAvatar.key,
+      resourceType: newAvatar.resourceType,
+    };
+  }
+
+  if (!user.isModified()) {
+    throw new ApiError(400, "Nothing to update");
+  }
+
+  try {
+    await user.save();
+  } catch (error) {
+    await removeStoredFile(newAvatar);
+    // unique index catches a username taken between the check and the save
+    if (error.code === 11000) {
+      throw new ApiError(409, "Username is already taken");
+    }
+    throw error;
+  }
+
+  await removeStoredFile(previousAvatar);
+
+  // ------------------------------
+  // Tell contacts + my other devices
+  // ------------------------------
+  const profile = {
+    userId: user._id,
+    username: user.username,
+    avatar: user.avatar,
+    bio: user.bio,
+  };
+  emitToUser(user._id, "profile_updated", profile);
+  await emitToContacts(user._id, "profile_updated", profile);
+
+  const updated = await User.findById(user._id).select(PROFILE_FIELDS);
+  const [liveUser] = await withLivePresence([updated]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, liveUser, "Profile updated successfully"));
+});
+
+//---------------------------------------------------------
+// GET USERS I BLOCKED
+//---------------------------------------------------------
+const getBlockedUsers = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .select("blockedUsers")
+    .populate("blockedUsers", "username avatar");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        user?.blockedUsers ?? [],
+        "Blocked users fetched successfully",
+      ),
+    );
+});
+
+//---------------------------------------------------------
+// BLOCK A USER (also ends friendship + pending requests)
+//---------------------------------------------------------
+const blockUser = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { userId } = req.params;
+
+  if (String(userId) === String(user._id)) {
+    throw new ApiError(400, "You cannot block yourself");
+  }
+
+  const target = await User.findById(userId).select("_id");
+  if (!target) {
+    throw new ApiError(404, "User not found");
+  }
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id },
+    { $addToSet: { blockedUsers: target._id } },
+  );
+  if (modifiedCount === 0) {
+    throw new ApiError(409, "User is already blocked");
+  }
+
+  if (await areFriends(user._id, target._id)) {
+    await User.updateOne({ _id: user._id }, { $pull: { friends: target._id } });
+    await User.updateOne({ _id: target._id }, { $pull: { friends: user._id } });
+    emitToUser(target._id, "friend_removed", { userId: user._id });
+  }
+
+  await FriendRequest.updateMany(
+    {
+      pairKey: FriendRequest.buildPairKey(user._id, target._id),
+      status: "pending",
+    },
+    { $set: { status: "cancelled", respondedAt: new Date() } },
+  );
+
+  // my other devices; the blocked user is not told
+  emitToUser(user._id, "user_blocked", { userId: target._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "User blocked successfully"));
+});
+
+//---------------------------------------------------------
+// UNBLOCK A USER
+//---------------------------------------------------------
+const unblockUser = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { userId } = req.params;
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id },
+    { $pull: { blockedUsers: userId } },
+  );
+  if (modifiedCount === 0) {
+    throw new ApiError(404, "This user is not blocked");
+  }
+
+  emitToUser(user._id, "user_unblocked", { userId });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "User unblocked successfully"));
+});
+
+export {
+  getCurrentUser,
+  getAllUsers,
+  updateProfile,
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+};
@@ -2,45 +2,106 @@ import jwt from "jsonwebtoken";
 import User from "../models/Users.js";
 import ApiError from "../utils/api-error.js";
 import asyncHandler from "../utils/asyncHandler.js";
+import { sessionExists } from "../services/session-service.js";
+import {
+  isApiToken,
+  verifyApiToken,
+  assertApiTokenScope,
+} from "../services/api-token-service.js";
 
 /**
- * @desc Middleware to protect routes — verifies access token from cookies
- * @usage Attach this middleware to any route that requires authentication
+ * @desc Verifies an access token and loads its user (shared by HTTP + Socket.IO)
+ * @returns { user, sessionId } — the user document without password and the
+ *          login session (device) the token was issued for
  */
-
-const authValidator = asyncHandler(async (req, res, next) => {
-  //  Extract token from cookies (set during login/OTP verification)
-  const token = req.cookies?.accessToken;
-
+const verifyAccessToken = async (token) => {
   // If no token found, user is not logged in
   if (!token) {
     throw new ApiError(401, "Unauthorized access — no access token found");
   }
 
+  let decoded;
   try {
     //  Verify the access token using the secret key
-    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-
-    //  Fetch the user details from MongoDB excluding password
-    const user = await User.findById(decoded?._id).select("-password");
-
-    if (!user) {
-      throw new ApiError(401, "Invalid token — user not found");
-    }
-
-    //  Attach user to the request for access in route handlers
-    req.user = user;
-
-    //  Continue to next middleware/controller
-    next();
+    decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
   } catch (error) {
     // Handle specific token errors for better debugging and frontend logic
     if (error.name === "TokenExpiredError") {
-      throw new ApiError(401, "Access token expired");
-    } else {
-      throw new ApiError(401, "Invalid access token");
+      const expiredError = new ApiError(401, "Access token expired");
+      // lets clients tell "call /api/auth/refresh" apart from "log in again"
+      expiredError.code = "TOKEN_EXPIRED";
+      throw expiredError;
     }
+    throw new ApiError(401, "Invalid access token");
+  }
+
+  // a revoked device is locked out right away, not when its token expires
+  if (!(await sessionExists(decoded?.sid))) {
+    const revokedError = new ApiError(401, "Session has been revoked");
+    revokedError.code = "SESSION_REVOKED";
+    throw revokedError;
+  }
+
+  //  Fetch the user details from MongoDB excluding password
+  const user = await User.findById(decoded?._id).select("-password");
+
+  if (!user) {
+    throw new ApiError(401, "Invalid token — user not found");
   }
+
+  // tokens from before a password change/reset are dead. iat is in whole
+  // seconds, so the change counts from the next full second: a token from
+  // the same second can't slip through (see tokenIssuedAt in models/Users.js)
+  if (
+    user.passwordChangedAt &&
+    decoded.iat < Math.ceil(user.passwordChangedAt.getTime() / 1000)
+  ) {
+    const staleError = new ApiError(
+      401,
+      "Password was changed, please log in again",
+    );
+    staleError.code = "PASSWORD_CHANGED";
+    throw staleError;
+  }
+
+  return { user, sessionId: decoded.sid };
+};
+
+// "Authorization: Bearer <token>" → token (native apps, scripts, bots)
+const readBearerToken = (req) => {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  return scheme?.toLowerCase() === "bearer" && token ? token.trim() : null;
+};
+
+/**
+ * @desc Middleware to protect routes — verifies the access token from the
+ *       Authorization header or the cookie, or a scoped personal API token
+ * @usage Attach this middleware to any route that requires authentication
+ */
+
+const authValidator = asyncHandler(async (req, res, next) => {
+  //  An explicit Authorization header wins over the cookie
+  //  (set during login/OTP verification)
+  const token = readBearerToken(req) || req.cookies?.accessToken;
+
+  //  Personal API token: no session, limited to its scopes
+  if (isApiToken(token)) {
+    const { user, apiToken } = await verifyApiToken(token, { ip: req.ip });
+    assertApiTokenScope(req, apiToken.scopes);
+    req.user = user;
+    req.sessionId = null;
+    req.apiToken = apiToken;
+    return next();
+  }
+
+  //  Attach user (and its login session) to the request for route handlers
+  const { user, sessionId } = await verifyAccessToken(token);
+  req.user = user;
+  req.sessionId = sessionId;
+
+  //  Continue to next middleware/controller
+  next();
 });
 
+export { verifyAccessToken };
 export default authValidator;
@@ -0,0 +1,169 @@
+import ApiError from "../utils/api-error.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { redisClient } from "../redis/redisClient.js";
+
+// ------------------------------
+//  KEY STRATEGIES (who is being limited)
+// ------------------------------
+const KEY_STRATEGIES = {
+  ip: (req) => req.ip,
+  // needs authValidator first; anonymous requests fall back to the IP
+  user: (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`),
+  email: (req) =>
+    typeof req.body?.email === "string"
+      ? req.body.email.trim().toLowerCase()
+      : null,
+};
+
+// ------------------------------
+//  ALGORITHMS (atomic Lua scripts)
+// ------------------------------
+
+// INCR per window; the first hit starts the window
+const FIXED_WINDOW_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then redis.call("PEXPIRE", KEYS[1], ARGV[1]) end
+return { count, redis.call("PTTL", KEYS[1]) }
+`;
+
+// `limit` tokens, refilled evenly over `window`; each request takes one
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local state = redis.call("HMGET", KEYS[1], "tokens", "ts")
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + (now - ts) * capacity / windowMs)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "ts", now)
+redis.call("PEXPIRE", KEYS[1], windowMs)
+return { allowed, tostring(tokens) }
+`;
+
+// Each returns { allowed, remaining, reset, retryAfter } (seconds)
+const ALGORITHMS = {
+  "fixed-window": async (key, { limit, window }) => {
+    const [count, pttl] = await redisClient.eval(
+      FIXED_WINDOW_SCRIPT,
+      1,
+      key,
+      window * 1000,
+    );
+    const reset = Math.max(1, Math.ceil(pttl / 1000));
+    return {
+      allowed: count <= limit,
+      remaining: Math.max(0, limit - count),
+      reset,
+      retryAfter: reset,
+    };
+  },
+
+  "token-bucket": async (key, { limit, window }) => {
+    const [allowed, tokensLeft] = await redisClient.eval(
+      TOKEN_BUCKET_SCRIPT,
+      1,
+      key,
+      limit,
+      window * 1000,
+      Date.now(),
+    );
+    const tokens = Number(tokensLeft);
+    const secondsPerToken = window / limit;
+    return {
+      allowed: allowed === 1,
+      remaining: Math.floor(tokens),
+      // until the bucket is full again / until the next token
+      reset: Math.max(1, Math.ceil((limit - tokens) * secondsPerToken)),
+      retryAfter: Math.max(1, Math.ceil((1 - tokens) * secondsPerToken)),
+    };
+  },
+};
+
+// One hit against `ratelimit:<name>:<id>`; throws 429 RATE_LIMITED when over.
+// → the counter state, or null when Redis failed (the request goes through)
+const consumeRateLimit = async (
+  {
+    name,
+    algorithm = "fixed-window",
+    limit,
+    window,
+    message = "Too many requests. Please try again later.",
+  },
+  id,
+) => {
+  let result;
+  try {
+    result = await ALGORITHMS[algorithm](`ratelimit:${name}:${id}`, {
+      limit,
+      window,
+    });
+  } catch (error) {
+    // a Redis hiccup must not take the routes down with it
+    console.error(`Rate limiter "${name}" failed:`, error);
+    return null;
+  }
+
+  if (!result.allowed) {
+    const error = new ApiError(429, message);
+    error.code = "RATE_LIMITED";
+    error.retryAfter = result.retryAfter;
+    error.rateLimit = result;
+    throw error;
+  }
+  return result;
+};
+
+/**
+ * @desc Redis-backed rate limiter for a route
+ * @param name       limiter name, part of the Redis key (routes sharing a name share the limit)
+ * @param key        "ip" | "user" | "email" (body field) | (req) => string
+ * @param algorithm  "fixed-window" (default) | "token-bucket"
+ * @param limit      requests per window (bucket capacity for token-bucket)
+ * @param window     seconds
+ * @usage router.post("/x", rateLimit({ name: "x", key: "ip", limit: 10, window: 60 }), handler)
+ */
+const rateLimit = ({ key = "ip", ...config }) => {
+  const { name, algorithm = "fixed-window", limit, window } = config;
+  const keyFor = typeof key === "function" ? key : KEY_STRATEGIES[key];
+  if (
+    !name ||
+    !keyFor ||
+    !ALGORITHMS[algorithm] ||
+    !(limit > 0) ||
+    !(window > 0)
+  ) {
+    throw new Error(`Invalid rate limit config for "${name}"`);
+  }
+
+  const setHeaders = (res, result) =>
+    res.set({
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(result.reset),
+    });
+
+  return asyncHandler(async (req, res, next) => {
+    const id = keyFor(req);
+    // nothing to key on (e.g. no email in the body) → validation handles it
+    if (!id) return next();
+
+    let result;
+    try {
+      result = await consumeRateLimit(config, id);
+    } catch (error) {
+      if (error.rateLimit) setHeaders(res, error.rateLimit);
+      throw error;
+    }
+    if (result) setHeaders(res, result);
+
+    next();
+  });
+};
+
+export { consumeRateLimit };
+export default rateLimit;
@@ -0,0 +1,53 @@
+import express from "express";
+import multer from "multer";
+import ApiError from "../utils/api-error.js";
+import getStorage from "../storage/index.js";
+import { MAX_UPLOAD_SIZE } from "../services/media-service.js";
+
+// Files stay in memory: they are sniffed/resized before reaching storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+});
+
+/**
+ * @desc Accepts a single multipart file and turns multer errors into ApiErrors
+ * @usage uploadSingle("file") before a controller reading req.file
+ */
+const uploadSingle = (fieldName) => (req, res, next) => {
+  upload.single(fieldName)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return next(new ApiError(status, error.message));
+    }
+    next(error);
+  });
+};
+
+/**
+ * @desc Serves files of the local storage driver (no-op for other drivers)
+ */
+let staticHandler;
+const serveLocalUploads = (req, res, next) => {
+  const storage = getStorage();
+  if (storage.driver !== "local") return next();
+
+  staticHandler ??= express.static(storage.rootDir, {
+    index: false,
+    fallthrough: false,
+    setHeaders: (res, filePath) => {
+      // the frontend runs on another origin
+      res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+      // never render user files inline except images/audio
+      if (!/[\\/](images|thumbnails|audios)[\\/]/.test(filePath)) {
+        res.setHeader("Content-Disposition", "attachment");
+      }
+    },
+  });
+
+  staticHandler(req, res, next);
+};
+
+export { uploadSingle, serveLocalUploads };
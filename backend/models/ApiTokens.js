@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+
+// What a personal API token may do: "<resource>:read" covers GET requests,
+// "<resource>:write" everything else (see services/api-token-service.js)
+const API_TOKEN_SCOPES = [
+  "users:read",
+  "users:write",
+  "chats:read",
+  "chats:write",
+  "groups:read",
+  "groups:write",
+  "friends:read",
+  "friends:write",
+  "media:read",
+  "media:write",
+];
+
+const apiTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 60,
+    },
+
+    // sha256 of the token; the token itself is only shown once, at creation
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    // first characters of the token, so users can tell tokens apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+
+    scopes: {
+      type: [{ type: String, enum: API_TOKEN_SCOPES }],
+      default: [],
+    },
+
+    // null → never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedIp: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true },
+);
+
+// ------------------------------
+//  OPTIMIZED INDEXES
+// ------------------------------
+
+// token lookup on every API request
+apiTokenSchema.index({ tokenHash: 1 }, { unique: true });
+
+// a user's token list
+apiTokenSchema.index({ user: 1, createdAt: -1 });
+
+// expired tokens are removed by MongoDB (tokens without expiry are kept)
+apiTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ApiToken = mongoose.model("ApiToken", apiTokenSchema);
+
+export { API_TOKEN_SCOPES };
+export default ApiToken;
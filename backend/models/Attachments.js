@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+// ------------------------------
+//  STORED OBJECT (original or thumbnail)
+// ------------------------------
+const storedFileSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    // cloudinary resource type, needed to delete the asset again
+    resourceType: { type: String, default: null },
+  },
+  { _id: false },
+);
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    kind: {
+      type: String,
+      enum: ["image", "file", "audio"],
+      required: true,
+    },
+
+    // which storage adapter holds the bytes ("cloudinary" | "local")
+    driver: {
+      type: String,
+      required: true,
+    },
+
+    file: {
+      type: storedFileSchema,
+      required: true,
+    },
+
+    thumbnail: {
+      type: storedFileSchema,
+      default: null,
+    },
+
+    // sniffed from the bytes, never taken from the client
+    mimeType: {
+      type: String,
+      required: true,
+    },
+
+    size: {
+      type: Number,
+      required: true,
+    },
+
+    originalName: {
+      type: String,
+      trim: true,
+      maxlength: 255,
+      default: "",
+    },
+
+    // images only
+    width: Number,
+    height: Number,
+
+    // set once the attachment is sent; an attachment belongs to one message
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// ------------------------------
+//  OPTIMIZED INDEXES
+// ------------------------------
+attachmentSchema.index({ uploader: 1, message: 1 });
+
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+export default Attachment;
@@ -0,0 +1,153 @@
+import mongoose from "mongoose";
+
+// ------------------------------
+//  MEMBER SUB-DOCUMENT
+// ------------------------------
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // only meaningful for groups; direct chats keep everyone as "member"
+    role: {
+      type: String,
+      enum: ["owner", "admin", "member"],
+      default: "member",
+    },
+
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // read position: "read up to this message"
+    lastReadMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+
+    lastReadAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // maintained on write so the chat list never has to count messages
+    unreadCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // no notifications until this date (MUTE_FOREVER = until unmuted)
+    mutedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+const conversationSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["direct", "group"],
+      default: "direct",
+    },
+
+    // group-only profile
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+    },
+
+    image: {
+      type: String,
+      default: "",
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    members: [memberSchema],
+
+    // "<smallerId>:<largerId>" — one direct conversation per pair of users
+    directKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+
+    lastMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+
+    lastMessageAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  // membership edits are load → modify → save; reject lost updates
+  { timestamps: true, optimisticConcurrency: true },
+);
+
+// Higher rank may manage lower rank
+const ROLE_RANK = { member: 0, admin: 1, owner: 2 };
+
+// "Mute until I unmute" is stored as a date that never comes
+const MUTE_FOREVER = new Date("9999-12-31T23:59:59.999Z");
+
+// ------------------------------
+//  OPTIMIZED INDEXES
+// ------------------------------
+
+// chat list: "my conversations, most recent first"
+conversationSchema.index({ "members.user": 1, lastMessageAt: -1 });
+
+// ------------------------------------------------
+//  STATIC HELPERS
+// ------------------------------------------------
+conversationSchema.statics.buildDirectKey = function (userA, userB) {
+  return [String(userA), String(userB)].sort().join(":");
+};
+
+// ------------------------------------------------
+//  INSTANCE METHODS
+// ------------------------------------------------
+conversationSchema.methods.getMember = function (userId) {
+  return this.members.find(
+    (member) => String(member.user?._id ?? member.user) === String(userId),
+  );
+};
+
+conversationSchema.methods.isMember = function (userId) {
+  return Boolean(this.getMember(userId));
+};
+
+conversationSchema.methods.getRole = function (userId) {
+  return this.getMember(userId)?.role ?? null;
+};
+
+// true when the user's role is at least `minRole`
+conversationSchema.methods.hasRole = function (userId, minRole) {
+  const role = this.getRole(userId);
+  return role !== null && ROLE_RANK[role] >= ROLE_RANK[minRole];
+};
+
+conversationSchema.methods.isMutedFor = function (userId) {
+  const mutedUntil = this.getMember(userId)?.mutedUntil;
+  return Boolean(mutedUntil && mutedUntil > new Date());
+};
+
+const Conversation = mongoose.model("Conversation", conversationSchema);
+export { ROLE_RANK, MUTE_FOREVER };
+export default Conversation;
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// One "download my data" request; the archive itself lives in GridFS
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // queued → processing → ready (downloadable until expiresAt) | failed
+    status: {
+      type: String,
+      enum: ["queued", "processing", "ready", "failed"],
+      default: "queued",
+    },
+
+    // GridFS file id in the "exports" bucket
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    size: {
+      type: Number,
+      default: 0,
+    },
+
+    // sha256 of the download token emailed to the user
+    tokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    error: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true },
+);
+
+// ------------------------------
+//  OPTIMIZED INDEXES
+// ------------------------------
+
+// a user's exports, newest first
+dataExportSchema.index({ user: 1, createdAt: -1 });
+
+// expired archives to purge
+dataExportSchema.index({ expiresAt: 1 });
+
+const DataExport = mongoose.model("DataExport", dataExportSchema);
+export default DataExport;
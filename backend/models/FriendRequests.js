@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+const friendRequestSchema = new mongoose.Schema(
+  {
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // "<smallerId>:<largerId>" — only one pending request per pair of users
+    pairKey: {
+      type: String,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "cancelled"],
+      default: "pending",
+    },
+
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// ------------------------------
+//  OPTIMIZED INDEXES
+// ------------------------------
+
+// at most one open request between two users, in either direction
+friendRequestSchema.index(
+  { pairKey: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } },
+);
+
+// incoming / outgoing lists
+friendRequestSchema.index({ to: 1, status: 1, createdAt: -1 });
+friendRequestSchema.index({ from: 1, status: 1, createdAt: -1 });
+
+// ------------------------------------------------
+//  STATIC HELPERS
+// ------------------------------------------------
+friendRequestSchema.statics.buildPairKey = function (userA, userB) {
+  return [String(userA), String(userB)].sort().join(":");
+};
+
+const FriendRequest = mongoose.model("FriendRequest", friendRequestSchema);
+export default FriendRequest;
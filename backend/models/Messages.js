@@ -0,0 +1,280 @@
+import mongoose from "mongoose";
+
+// ------------------------------
+//  PER-RECIPIENT DELIVERY STATE
+// ------------------------------
+const deliverySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // sent → delivered (a device of the recipient got it) → read
+    status: {
+      type: String,
+      enum: ["sent", "delivered", "read"],
+      default: "sent",
+    },
+
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+// ------------------------------
+//  PREVIOUS VERSION OF AN EDITED MESSAGE
+// ------------------------------
+const editSchema = new mongoose.Schema(
+  {
+    content: {
+      type: String,
+      default: "",
+    },
+
+    // when this version was replaced
+    editedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false },
+);
+
+// ------------------------------
+//  @MENTION OF A MEMBER (or @everyone) IN THE CONTENT
+// ------------------------------
+const mentionSchema = new mongoose.Schema(
+  {
+    // null for @everyone
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // position of the "@" in content, and length including it
+    offset: {
+      type: Number,
+      required: true,
+    },
+
+    length: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false },
+);
+
+// ------------------------------
+//  EMOJI REACTIONS, ONE ENTRY PER EMOJI
+// ------------------------------
+const reactionSchema = new mongoose.Schema(
+  {
+    emoji: {
+      type: String,
+      required: true,
+    },
+
+    users: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+
+    // users.length, kept in step by the same atomic update
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false },
+);
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: ["text", "image", "file", "audio", "system"],
+      default: "text",
+    },
+
+    content: {
+      type: String,
+      trim: true,
+      maxlength: 5000,
+      default: "",
+    },
+
+    // image / file / audio messages; content is then an optional caption
+    attachment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Attachment",
+      default: null,
+    },
+
+    // one entry per recipient (everyone but the sender); empty for system messages
+    deliveries: [deliverySchema],
+
+    // group chats only; parsed from content against the members when stored
+    mentions: [mentionSchema],
+
+    mentionsEveryone: {
+      type: Boolean,
+      default: false,
+    },
+
+    // the message this one quotes (reply-to)
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+
+    // set on thread replies: the message that started the thread.
+    // They are left out of the main history.
+    threadRoot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+
+    // set on thread roots
+    thread: {
+      replyCount: {
+        type: Number,
+        default: 0,
+      },
+      lastReplyAt: {
+        type: Date,
+        default: null,
+      },
+    },
+
+    reactions: [reactionSchema],
+
+    pinnedAt: {
+      type: Date,
+      default: null,
+    },
+
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // set on every edit: the "edited" flag clients show
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // older versions, oldest first; only group moderators can read them
+    editHistory: {
+      type: [editSchema],
+      select: false,
+    },
+
+    // deleted for everyone: content and attachment are gone, the message
+    // stays in the timeline as a tombstone
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // members who deleted it "for me"
+    hiddenFor: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      select: false,
+    },
+
+    // structured details of a "system" message (membership changes etc.)
+    // the sender of a system message is the user who performed the action
+    systemEvent: {
+      action: {
+        type: String,
+        enum: [
+          "group_created",
+          "group_updated",
+          "members_added",
+          "member_removed",
+          "member_left",
+          "admin_promoted",
+          "admin_demoted",
+          "ownership_transferred",
+        ],
+      },
+      targets: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+    },
+  },
+  { timestamps: true },
+);
+
+// ------------------------------
+//  OPTIMIZED INDEXES
+// ------------------------------
+
+// history: newest first, paginated by _id
+messageSchema.index({ conversation: 1, _id: -1 });
+
+// "messages mentioning me"
+messageSchema.index({ "mentions.user": 1, _id: -1 });
+
+// thread history: newest first, paginated by _id
+messageSchema.index({ threadRoot: 1, _id: -1 });
+
+// pinned messages of a conversation
+messageSchema.index(
+  { conversation: 1, pinnedAt: -1 },
+  { partialFilterExpression: { pinnedAt: { $type: "date" } } },
+);
+
+// message search. A collection has a single text index; "none" skips
+// stemming and stop words, so any language is matched word for word
+messageSchema.index({ content: "text" }, { default_language: "none" });
+
+// "what is still waiting to be delivered to this user"
+messageSchema.index({ "deliveries.user": 1, "deliveries.status": 1 });
+
+const Message = mongoose.model("Message", messageSchema);
+export default Message;
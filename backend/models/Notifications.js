@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+// What can land in the notification center. Plain messages are not
+// stored: unread counters and the digest email cover those.
+const NOTIFICATION_TYPES = ["mention", "friend_request", "friend_accepted"];
+
+// Notifications older than this are removed by MongoDB (TTL index)
+const NOTIFICATION_TTL_DAYS = 90;
+
+const notificationSchema = new mongoose.Schema(
+  {
+    // recipient
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+
+    // who caused it (the sender of a mention, the requester…)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      default: null,
+    },
+
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+
+    // short text shown in the list (e.g. the start of the message)
+    preview: {
+      type: String,
+      default: "",
+    },
+
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// ------------------------------
+//  OPTIMIZED INDEXES
+// ------------------------------
+
+// my notifications, newest first, paginated by _id
+notificationSchema.index({ user: 1, _id: -1 });
+
+// unread counter
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 60 * 60 },
+);
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export { NOTIFICATION_TYPES };
+export default Notification;
@@ -1,6 +1,11 @@
+import crypto from "crypto";
 import mongoose from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import { initialsAvatar, isGeneratedAvatar } from "../utils/avatar.js";
+
+// Old default (a Freepik web page, not an image) — replaced on next save
+const LEGACY_DEFAULT_AVATAR_HOST = "https://www.freepik.com/";
 
 const userSchema = new mongoose.Schema(
   {
@@ -12,6 +17,12 @@ const userSchema = new mongoose.Schema(
       minlength: 3,
       maxlength: 30,
     },
+
+    // lowercased username, kept by the pre-validate hook below:
+    // case-insensitive prefix search that can still use an index
+    usernameLower: {
+      type: String,
+    },
     email: {
       type: String,
       required: true,
@@ -25,10 +36,29 @@ const userSchema = new mongoose.Schema(
       minlength: 6,
     },
 
+    // false for accounts created through OAuth until a password is set
+    // (forgot-password flow); such users can't unlink their last provider
+    hasPassword: {
+      type: Boolean,
+      default: true,
+    },
+
+    // access tokens issued before this are rejected (see auth-middleware)
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // uploaded image URL, or a generated initials avatar (see pre-validate hook)
     avatar: {
       type: String,
-      default:
-        "https://www.freepik.com/free-vector/user-blue-gradient_145856969.htm#fromView=keyword&page=1&position=0&uuid=a41547ff-3562-4842-bbbe-55daf1aa5f92&query=User+avatar",
+      default: "",
+    },
+
+    // where an uploaded avatar lives, so it can be deleted when replaced
+    avatarStorage: {
+      type: { key: String, resourceType: String },
+      default: null,
     },
 
     bio: {
@@ -37,11 +67,63 @@ const userSchema = new mongoose.Schema(
       default: "",
     },
 
+    // username changes are rate limited (see USERNAME_CHANGE_COOLDOWN_DAYS)
+    usernameChangedAt: {
+      type: Date,
+      default: null,
+    },
+
     isVerified: {
       type: Boolean,
       default: false,
     },
 
+    // TOTP two-factor auth; secrets and recovery code hashes never leave the DB
+    // unless explicitly selected ("+twoFactor.secret")
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false, default: null },
+      // set by setup, promoted to `secret` once a first code is confirmed
+      pendingSecret: { type: String, select: false, default: null },
+      recoveryCodes: { type: [String], select: false, default: [] },
+      enabledAt: { type: Date, default: null },
+    },
+
+    // external identities that can log in as this user (see oauth/)
+    oauthAccounts: [
+      {
+        _id: false,
+        provider: { type: String, required: true },
+        subject: { type: String, required: true },
+        email: { type: String, default: "" },
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    // set while the account is scheduled for deletion (grace period)
+    deletion: {
+      requestedAt: { type: Date, default: null },
+      scheduledFor: { type: Date, default: null },
+      // keep this user's group messages under a "Deleted user" placeholder
+      anonymizeMessages: { type: Boolean, default: false },
+    },
+
+    // what the notification center stores and what gets emailed
+    notificationPreferences: {
+      mentions: { type: Boolean, default: true },
+      friendRequests: { type: Boolean, default: true },
+      // unread messages summary while offline (see notification-service)
+      emailDigest: { type: Boolean, default: true },
+    },
+
+    digest: {
+      // last time this user was considered for a digest, and last one sent
+      checkedAt: { type: Date, default: null },
+      sentAt: { type: Date, default: null },
+      // in the unsubscribe link of every digest; it can do nothing else
+      unsubscribeToken: { type: String, default: null, select: false },
+    },
+
     lastSeen: {
       type: Date,
       default: Date.now,
@@ -59,6 +141,24 @@ const userSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+
+    // users this user has blocked (no DMs, no presence, hidden from search)
+    blockedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+
+    privacy: {
+      // "friends" → only friends can start or continue a direct chat,
+      // or add the user to a group
+      directMessages: {
+        type: String,
+        enum: ["everyone", "friends"],
+        default: "everyone",
+      },
+    },
   },
   { timestamps: true },
 );
@@ -67,6 +167,55 @@ const userSchema = new mongoose.Schema(
 //  OPTIMIZED INDEXES
 // ------------------------------
 
+// "who has blocked me" lookups
+userSchema.index({ blockedUsers: 1 });
+
+// user search: anchored prefix regex on the lowercased username
+userSchema.index({ usernameLower: 1 });
+
+// digest unsubscribe links
+userSchema.index(
+  { "digest.unsubscribeToken": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "digest.unsubscribeToken": { $type: "string" } },
+  },
+);
+
+// one BaatCheet account per external identity
+userSchema.index(
+  { "oauthAccounts.provider": 1, "oauthAccounts.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "oauthAccounts.subject": { $exists: true } },
+  },
+);
+
+// ------------------------------------------
+//  DEFAULT AVATAR (generated from initials)
+// ------------------------------------------
+userSchema.pre("validate", function (next) {
+  const needsDefault =
+    !this.avatar || this.avatar.startsWith(LEGACY_DEFAULT_AVATAR_HOST);
+  const initialsChanged =
+    isGeneratedAvatar(this.avatar) && this.isModified("username");
+
+  if (needsDefault || initialsChanged) {
+    this.avatar = initialsAvatar(this.username);
+  }
+  next();
+});
+
+// ------------------------------------------
+//  SEARCH KEY (lowercased username)
+// ------------------------------------------
+userSchema.pre("validate", function (next) {
+  if (this.username && (this.isModified("username") || !this.usernameLower)) {
+    this.usernameLower = this.username.toLowerCase();
+  }
+  next();
+});
+
 // // ------------------------------------------
 // //  PASSWORD HASHING MIDDLEWARE (BEST PRACTICE)
 // // ------------------------------------------
@@ -82,9 +231,26 @@ const userSchema = new mongoose.Schema(
 // ------------------------------------------------
 //  INSTANCE METHODS: TOKEN CREATION & VALIDATION
 // ------------------------------------------------
-userSchema.methods.createAccessToken = function () {
+// A token is never dated before the last password change (rounded up to
+// the second like the check in auth-middleware), so the one issued right
+// after a change survives it while those issued earlier in that second don't
+const tokenIssuedAt = (user) =>
+  Math.max(
+    Math.floor(Date.now() / 1000),
+    user.passwordChangedAt
+      ? Math.ceil(user.passwordChangedAt.getTime() / 1000)
+      : 0,
+  );
+
+// `sessionId` ties both tokens to one login session (device)
+userSchema.methods.createAccessToken = function (sessionId) {
   return jwt.sign(
-    { _id: this._id, email: this.email },
+    {
+      _id: this._id,
+      email: this.email,
+      sid: sessionId,
+      iat: tokenIssuedAt(this),
+    },
     process.env.ACCESS_TOKEN_SECRET,
     {
       expiresIn: process.env.ACCESS_TOKEN_EXPIRY,
@@ -92,10 +258,16 @@ userSchema.methods.createAccessToken = function () {
   );
 };
 
-userSchema.methods.createRefreshToken = function () {
-  return jwt.sign({ _id: this._id }, process.env.REFRESH_TOKEN_SECRET, {
-    expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
-  });
+userSchema.methods.createRefreshToken = function (sessionId) {
+  return jwt.sign(
+    { _id: this._id, sid: sessionId, iat: tokenIssuedAt(this) },
+    process.env.REFRESH_TOKEN_SECRET,
+    {
+      expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+      // unique per token, so a rotated token never equals the one it replaces
+      jwtid: crypto.randomUUID(),
+    },
+  );
 };
 
 // Safely validate refresh token (no crashing)
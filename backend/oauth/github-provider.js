@@ -0,0 +1,80 @@
+// GitHub is plain OAuth 2.0 (no ID token): the profile and the verified
+// primary email come from the REST API
+const AUTHORIZE_URL = "https://github.com/login/oauth/authorize";
+const TOKEN_URL = "https://github.com/login/oauth/access_token";
+const API_URL = "https://api.github.com";
+
+const createGithubProvider = ({ clientId, clientSecret }) => {
+  const api = async (path, accessToken) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Accept: "application/vnd.github+json",
+        "User-Agent": "BaatCheet",
+      },
+    });
+    if (!response.ok) {
+      throw new Error(`GitHub API ${path} failed (${response.status})`);
+    }
+    return response.json();
+  };
+
+  return {
+    name: "github",
+    label: "GitHub",
+    usesNonce: false,
+
+    async getAuthorizationUrl({ redirectUri, state, codeChallenge }) {
+      const url = new URL(AUTHORIZE_URL);
+      url.search = new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: "read:user user:email",
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+        allow_signup: "false",
+      }).toString();
+      return url.toString();
+    },
+
+    async exchangeCode({ code, redirectUri, codeVerifier }) {
+      const response = await fetch(TOKEN_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+          Accept: "application/json",
+        },
+        body: new URLSearchParams({
+          client_id: clientId,
+          client_secret: clientSecret,
+          code,
+          redirect_uri: redirectUri,
+          code_verifier: codeVerifier,
+        }),
+      });
+      const tokens = await response.json().catch(() => ({}));
+      if (!response.ok || !tokens.access_token) {
+        throw new Error(
+          `Token exchange failed for "github": ${tokens.error || response.status}`,
+        );
+      }
+
+      const [profile, emails] = await Promise.all([
+        api("/user", tokens.access_token),
+        api("/user/emails", tokens.access_token),
+      ]);
+      const primary = emails.find((email) => email.primary) ?? emails[0];
+
+      return {
+        subject: String(profile.id),
+        email: primary?.email?.toLowerCase() ?? null,
+        emailVerified: primary?.verified === true,
+        name: profile.name || profile.login || "",
+        picture: profile.avatar_url || "",
+      };
+    },
+  };
+};
+
+export default createGithubProvider;
@@ -0,0 +1,73 @@
+import createOidcProvider from "./oidc-provider.js";
+import createGithubProvider from "./github-provider.js";
+
+/**
+ * OAuth provider contract (every provider returns this shape):
+ *
+ *   name, label: string                 — URL segment / button text
+ *   usesNonce: boolean                  — OIDC providers bind the ID token to a nonce
+ *   getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge }) → Promise<string>
+ *   exchangeCode({ code, redirectUri, codeVerifier, nonce })
+ *     → Promise<{ subject, email, emailVerified, name, picture }>
+ *
+ * A provider is enabled when its env vars are set:
+ *   google — GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET
+ *   github — GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET
+ *   oidc   — OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET
+ *            (OIDC_PROVIDER_NAME / OIDC_PROVIDER_LABEL / OIDC_SCOPE optional)
+ */
+const buildProviders = (env) => {
+  const providers = [];
+
+  if (env.GOOGLE_CLIENT_ID && env.GOOGLE_CLIENT_SECRET) {
+    providers.push(
+      createOidcProvider({
+        name: "google",
+        label: "Google",
+        issuer: "https://accounts.google.com",
+        clientId: env.GOOGLE_CLIENT_ID,
+        clientSecret: env.GOOGLE_CLIENT_SECRET,
+      }),
+    );
+  }
+
+  if (env.GITHUB_CLIENT_ID && env.GITHUB_CLIENT_SECRET) {
+    providers.push(
+      createGithubProvider({
+        clientId: env.GITHUB_CLIENT_ID,
+        clientSecret: env.GITHUB_CLIENT_SECRET,
+      }),
+    );
+  }
+
+  if (env.OIDC_ISSUER && env.OIDC_CLIENT_ID && env.OIDC_CLIENT_SECRET) {
+    providers.push(
+      createOidcProvider({
+        name: env.OIDC_PROVIDER_NAME || "oidc",
+        label: env.OIDC_PROVIDER_LABEL || "Single sign-on",
+        issuer: env.OIDC_ISSUER,
+        clientId: env.OIDC_CLIENT_ID,
+        clientSecret: env.OIDC_CLIENT_SECRET,
+        scope: env.OIDC_SCOPE,
+      }),
+    );
+  }
+
+  return new Map(providers.map((provider) => [provider.name, provider]));
+};
+
+let providers;
+
+// Built lazily so dotenv has populated process.env by the first call
+const getProviders = () => {
+  if (!providers) providers = buildProviders(process.env);
+  return providers;
+};
+
+// null when the provider is unknown or not configured
+const getProvider = (name) => getProviders().get(name) ?? null;
+
+const listProviders = () =>
+  [...getProviders().values()].map(({ name, label }) => ({ name, label }));
+
+export { getProvider, listProviders };
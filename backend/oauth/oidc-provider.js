@@ -0,0 +1,111 @@
+import { createRemoteJWKSet, jwtVerify } from "jose";
+
+// Any OpenID Connect issuer (Google, Keycloak, Auth0, a local mock issuer…):
+// endpoints come from the issuer's discovery document
+const createOidcProvider = ({
+  name,
+  label,
+  issuer,
+  clientId,
+  clientSecret,
+  scope = "openid email profile",
+}) => {
+  let metadata;
+  let jwks;
+
+  // discovery is fetched once, on first use
+  const discover = async () => {
+    if (metadata) return metadata;
+
+    const response = await fetch(
+      `${issuer.replace(/\/+$/, "")}/.well-known/openid-configuration`,
+    );
+    if (!response.ok) {
+      throw new Error(
+        `OIDC discovery failed for "${name}" (${response.status})`,
+      );
+    }
+    metadata = await response.json();
+    jwks = createRemoteJWKSet(new URL(metadata.jwks_uri));
+    return metadata;
+  };
+
+  return {
+    name,
+    label,
+    usesNonce: true,
+
+    async getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+      const { authorization_endpoint } = await discover();
+      const url = new URL(authorization_endpoint);
+      url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+      }).toString();
+      return url.toString();
+    },
+
+    async exchangeCode({ code, redirectUri, codeVerifier, nonce }) {
+      const { token_endpoint, userinfo_endpoint } = await discover();
+
+      const response = await fetch(token_endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+          Accept: "application/json",
+        },
+        body: new URLSearchParams({
+          grant_type: "authorization_code",
+          code,
+          redirect_uri: redirectUri,
+          client_id: clientId,
+          client_secret: clientSecret,
+          code_verifier: codeVerifier,
+        }),
+      });
+      const tokens = await response.json().catch(() => ({}));
+      if (!response.ok || !tokens.id_token) {
+        throw new Error(
+          `Token exchange failed for "${name}": ${tokens.error || response.status}`,
+        );
+      }
+
+      // signature, issuer, audience and expiry; nonce binds it to our request
+      const { payload } = await jwtVerify(tokens.id_token, jwks, {
+        issuer: metadata.issuer,
+        audience: clientId,
+      });
+      if (payload.nonce !== nonce) {
+        throw new Error(`ID token nonce mismatch for "${name}"`);
+      }
+
+      // some issuers keep the email out of the ID token
+      let claims = payload;
+      if (!claims.email && userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetch(userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` },
+        });
+        if (userinfo.ok) {
+          const extra = await userinfo.json();
+          if (extra.sub === payload.sub) claims = { ...extra, ...payload };
+        }
+      }
+
+      return {
+        subject: String(claims.sub),
+        email: claims.email?.toLowerCase() ?? null,
+        emailVerified: claims.email_verified === true,
+        name: claims.name || claims.preferred_username || "",
+        picture: claims.picture || "",
+      };
+    },
+  };
+};
+
+export default createOidcProvider;
@@ -0,0 +1,23 @@
+import dotenv from "dotenv";
+import { Queue } from "bullmq";
+
+dotenv.config();
+
+// Account jobs (data exports, scheduled deletions) — see workers/account.worker.js
+const accountQueue = new Queue("account", {
+  // Use explicit Redis URL so BullMQ does not fall back to localhost:6379
+  connection: process.env.REDIS_URL
+    ? { url: process.env.REDIS_URL }
+    : undefined,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: {
+      type: "exponential",
+      delay: 5000,
+    },
+    removeOnComplete: true,
+    removeOnFail: 100,
+  },
+});
+
+export default accountQueue;
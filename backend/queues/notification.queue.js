@@ -0,0 +1,20 @@
+import dotenv from "dotenv";
+import { Queue } from "bullmq";
+
+dotenv.config();
+
+// Notification jobs (digest emails) — see workers/notification.worker.js
+const notificationQueue = new Queue("notifications", {
+  // Use explicit Redis URL so BullMQ does not fall back to localhost:6379
+  connection: process.env.REDIS_URL
+    ? { url: process.env.REDIS_URL }
+    : undefined,
+  defaultJobOptions: {
+    // a failed run is simply picked up by the next scheduled one
+    attempts: 1,
+    removeOnComplete: true,
+    removeOnFail: 100,
+  },
+});
+
+export default notificationQueue;
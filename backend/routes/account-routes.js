@@ -0,0 +1,60 @@
+import { Router } from "express";
+
+import {
+  dataExportIdValidator,
+  accountDeletionValidator,
+} from "../validators/validate.js";
+
+import validate from "../middlewares/validator-middleware.js";
+
+import {
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  getAccountDeletion,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+} from "../controllers/account-controller.js";
+
+import authValidator from "../middlewares/auth-middleware.js";
+import rateLimit from "../middlewares/rate-limit-middleware.js";
+
+const AccountRouter = new Router();
+
+// The emailed link carries its own token; without one, log in
+const authUnlessExportToken = (req, res, next) =>
+  req.query.token ? next() : authValidator(req, res, next);
+
+// Data export ("download my data")
+AccountRouter.route("/exports")
+  .get(authValidator, getDataExports)
+  .post(
+    authValidator,
+    rateLimit({
+      name: "data-export",
+      key: "user",
+      limit: 3,
+      window: 24 * 60 * 60,
+      message: "Too many export requests. Try again tomorrow",
+    }),
+    requestDataExport,
+  );
+AccountRouter.route("/exports/:exportId/download").get(
+  authUnlessExportToken,
+  dataExportIdValidator(),
+  validate,
+  downloadDataExport,
+);
+
+// Account deletion (grace period, cancellable)
+AccountRouter.route("/deletion")
+  .get(authValidator, getAccountDeletion)
+  .post(
+    authValidator,
+    accountDeletionValidator(),
+    validate,
+    requestAccountDeletion,
+  )
+  .delete(authValidator, cancelAccountDeletion);
+
+export default AccountRouter;
@@ -5,6 +5,16 @@ import {
   userLoginValidator,
   userForgotPasswordValidator,
   userForgotPasswordOtpValidator,
+  userChangePasswordValidator,
+  userChangeEmailValidator,
+  userChangeEmailOtpValidator,
+  userRevertEmailValidator,
+  sessionIdValidator,
+  apiTokenCreateValidator,
+  apiTokenIdValidator,
+  twoFactorCodeValidator,
+  twoFactorLoginValidator,
+  twoFactorDisableValidator,
 } from "../validators/validate.js";
 
 import validate from "../middlewares/validator-middleware.js";
@@ -18,40 +28,124 @@ import {
   forgotPassword,
   verifyForgotPasswordOtp,
   resendEmailVerificationOTP,
+  changePassword,
+  requestEmailChange,
+  verifyEmailChange,
+  revertEmailChange,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+  verifyLoginTwoFactor,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
 } from "../controllers/auth-controller.js";
 
 import authValidator from "../middlewares/auth-middleware.js";
+import rateLimit from "../middlewares/rate-limit-middleware.js";
 
 const Authrouter = new Router();
 
+// One OTP email per address per minute (register + resend share the limit)
+const registerOtpLimit = rateLimit({
+  name: "register-otp",
+  key: "email",
+  limit: 1,
+  window: 60,
+  message: "Too many OTP requests. Please try again later.",
+});
+const resetOtpLimit = rateLimit({
+  name: "reset-otp",
+  key: "email",
+  limit: 1,
+  window: 60,
+  message: "Too many OTP requests. Try again later",
+});
+
+// Password guessing: per account, and per IP across accounts
+const loginEmailLimit = rateLimit({
+  name: "login-email",
+  key: "email",
+  limit: 10,
+  window: 15 * 60,
+  message: "Too many login attempts. Try again later",
+});
+const loginIpLimit = rateLimit({
+  name: "login-ip",
+  key: "ip",
+  limit: 50,
+  window: 15 * 60,
+  message: "Too many login attempts. Try again later",
+});
+
 //  Register route with validation middleware
 Authrouter.route("/register").post(
   userRegisterValidator(),
   validate,
+  registerOtpLimit,
   registerUser,
 );
 // Resend Email Verification OTP
 Authrouter.route("/resend-verify-otp").post(
   userRegisterValidator(),
   validate,
+  registerOtpLimit,
   resendEmailVerificationOTP,
 );
 //  Verify OTP route
-Authrouter.route("/verify-otp").post(verifyOtp);
+Authrouter.route("/verify-otp").post(
+  rateLimit({
+    name: "verify-otp",
+    key: "ip",
+    limit: 20,
+    window: 15 * 60,
+    message: "Too many attempts. Try again later",
+  }),
+  verifyOtp,
+);
 
 // Login route
-Authrouter.route("/login").post(userLoginValidator(), validate, loginUser);
+Authrouter.route("/login").post(
+  userLoginValidator(),
+  validate,
+  loginIpLimit,
+  loginEmailLimit,
+  loginUser,
+);
+
+// Login step 2 when 2FA is on (challengeId from /login + TOTP/recovery code)
+Authrouter.route("/login/2fa").post(
+  twoFactorLoginValidator(),
+  validate,
+  rateLimit({
+    name: "login-2fa",
+    key: "ip",
+    limit: 10,
+    window: 5 * 60,
+    message: "Too many attempts. Try again later",
+  }),
+  verifyLoginTwoFactor,
+);
 
 //  Logout route (protected)
 Authrouter.route("/logout").get(authValidator, logoutUser);
 
-//  Refresh token route (use POST, not GET)
-Authrouter.route("/refresh").post(refreshToken);
+//  Refresh token route (use POST, not GET); native apps send
+//  { refreshToken } in the body instead of the cookie
+Authrouter.route("/refresh").post(
+  rateLimit({ name: "refresh", key: "ip", limit: 30, window: 60 }),
+  refreshToken,
+);
 
 // Forgot Password
 Authrouter.route("/forgotpassword").post(
   userForgotPasswordValidator(),
   validate,
+  resetOtpLimit,
   forgotPassword,
 );
 // Forgot Password OTP Verify
@@ -62,4 +156,91 @@ Authrouter.route("/verify-forgotpassword-otp").post(
   verifyForgotPasswordOtp,
 );
 
+// Change password (signs out every other device)
+Authrouter.route("/change-password").post(
+  authValidator,
+  userChangePasswordValidator(),
+  validate,
+  changePassword,
+);
+
+// Change email: OTP to the new address, revert link to the old one
+Authrouter.route("/change-email").post(
+  authValidator,
+  userChangeEmailValidator(),
+  validate,
+  rateLimit({
+    name: "email-change",
+    key: "user",
+    limit: 3,
+    window: 60 * 60,
+    message: "Too many email change requests. Try again later",
+  }),
+  requestEmailChange,
+);
+Authrouter.route("/change-email/verify").post(
+  authValidator,
+  userChangeEmailOtpValidator(),
+  validate,
+  verifyEmailChange,
+);
+// Revert link target (no login: the account may have been taken over)
+Authrouter.route("/change-email/revert").post(
+  userRevertEmailValidator(),
+  validate,
+  rateLimit({
+    name: "email-revert",
+    key: "ip",
+    limit: 10,
+    window: 60 * 60,
+    message: "Too many attempts. Try again later",
+  }),
+  revertEmailChange,
+);
+
+// Active sessions (one per logged-in device)
+Authrouter.route("/sessions")
+  .get(authValidator, getSessions)
+  .delete(authValidator, revokeOtherSessions);
+
+// Log one device out
+Authrouter.route("/sessions/:sessionId").delete(
+  authValidator,
+  sessionIdValidator(),
+  validate,
+  revokeSessionById,
+);
+
+// Personal API tokens (Authorization: Bearer bct_…), scoped, for scripts/bots
+Authrouter.route("/tokens")
+  .get(authValidator, getApiTokens)
+  .post(authValidator, apiTokenCreateValidator(), validate, createApiToken);
+Authrouter.route("/tokens/:tokenId").delete(
+  authValidator,
+  apiTokenIdValidator(),
+  validate,
+  revokeApiToken,
+);
+
+// Two-factor authentication (TOTP)
+Authrouter.route("/2fa/setup").post(authValidator, setupTwoFactor);
+Authrouter.route("/2fa/confirm").post(
+  authValidator,
+  twoFactorCodeValidator(),
+  validate,
+  confirmTwoFactor,
+);
+Authrouter.route("/2fa/disable").post(
+  authValidator,
+  twoFactorDisableValidator(),
+  validate,
+  disableTwoFactor,
+);
+Authrouter.route("/2fa/recovery-codes").post(
+  authValidator,
+  twoFactorCodeValidator(),
+  validate,
+  regenerateRecoveryCodes,
+);
+
 export default Authrouter;
@@ -0,0 +1,187 @@
+import { Router } from "express";
+import authValidator from "../middlewares/auth-middleware.js";
+import validate from "../middlewares/validator-middleware.js";
+import rateLimit from "../middlewares/rate-limit-middleware.js";
+import { MESSAGE_SEND_LIMIT } from "../services/chat-service.js";
+import {
+  chatCreateValidator,
+  conversationIdValidator,
+  messageSendValidator,
+  messageIdValidator,
+  messageEditValidator,
+  messageDeleteValidator,
+  reactionToggleValidator,
+  messageSearchValidator,
+  markReadValidator,
+  chatMuteValidator,
+} from "../validators/validate.js";
+import {
+  createOrGetDirectChat,
+  getMyChats,
+  getChatById,
+  sendMessage,
+  getMessages,
+  editChatMessage,
+  deleteChatMessage,
+  getMessageHistory,
+  searchChatMessages,
+  getMyMentions,
+  getThreadMessages,
+  reactToMessage,
+  getPins,
+  pinChatMessage,
+  unpinChatMessage,
+  markChatRead,
+  getTypingUsers,
+  muteChat,
+  unmuteChat,
+  getMutedChats,
+} from "../controllers/chats-controller.js";
+
+const ChatRouter = Router();
+
+// every chat route needs a logged-in user
+ChatRouter.use(authValidator);
+
+// GET my conversations (with last message preview + unread count)
+ChatRouter.get("/", getMyChats);
+
+// POST create or get a 1:1 conversation
+ChatRouter.post("/", chatCreateValidator(), validate, createOrGetDirectChat);
+
+// GET my muted conversations (before /:conversationId)
+ChatRouter.get("/muted", getMutedChats);
+
+// GET messages mentioning me (before /:conversationId)
+ChatRouter.get("/mentions", getMyMentions);
+
+// GET search messages across my conversations (before /:conversationId)
+ChatRouter.get(
+  "/search",
+  messageSearchValidator(),
+  validate,
+  rateLimit({ name: "message-search", key: "user", limit: 30, window: 60 }),
+  searchChatMessages,
+);
+
+// GET a single conversation
+ChatRouter.get(
+  "/:conversationId",
+  conversationIdValidator(),
+  validate,
+  getChatById,
+);
+
+// GET message history (cursor pagination)
+ChatRouter.get(
+  "/:conversationId/messages",
+  conversationIdValidator(),
+  validate,
+  getMessages,
+);
+
+// POST send a message
+ChatRouter.post(
+  "/:conversationId/messages",
+  messageSendValidator(),
+  validate,
+  rateLimit({ ...MESSAGE_SEND_LIMIT, key: "user" }),
+  sendMessage,
+);
+
+// PATCH edit my message (within the edit window)
+ChatRouter.patch(
+  "/:conversationId/messages/:messageId",
+  messageEditValidator(),
+  validate,
+  editChatMessage,
+);
+
+// DELETE a message (?scope=me | everyone, default me)
+ChatRouter.delete(
+  "/:conversationId/messages/:messageId",
+  messageDeleteValidator(),
+  validate,
+  deleteChatMessage,
+);
+
+// GET earlier versions of an edited message (group admins)
+ChatRouter.get(
+  "/:conversationId/messages/:messageId/history",
+  messageIdValidator(),
+  validate,
+  getMessageHistory,
+);
+
+// GET a thread: its root message + replies (cursor pagination)
+ChatRouter.get(
+  "/:conversationId/messages/:messageId/thread",
+  messageIdValidator(),
+  validate,
+  getThreadMessages,
+);
+
+// POST toggle my emoji reaction on a message
+ChatRouter.post(
+  "/:conversationId/messages/:messageId/reactions",
+  reactionToggleValidator(),
+  validate,
+  reactToMessage,
+);
+
+// GET pinned messages
+ChatRouter.get(
+  "/:conversationId/pins",
+  conversationIdValidator(),
+  validate,
+  getPins,
+);
+
+// PUT / DELETE pin or unpin a message (group admins)
+ChatRouter.put(
+  "/:conversationId/pins/:messageId",
+  messageIdValidator(),
+  validate,
+  pinChatMessage,
+);
+ChatRouter.delete(
+  "/:conversationId/pins/:messageId",
+  messageIdValidator(),
+  validate,
+  unpinChatMessage,
+);
+
+// POST mark conversation read up to a message
+ChatRouter.post(
+  "/:conversationId/read",
+  markReadValidator(),
+  validate,
+  markChatRead,
+);
+
+// GET who is typing right now
+ChatRouter.get(
+  "/:conversationId/typing",
+  conversationIdValidator(),
+  validate,
+  getTypingUsers,
+);
+
+// PUT mute a conversation (optional { hours }, default until unmuted)
+ChatRouter.put(
+  "/:conversationId/mute",
+  chatMuteValidator(),
+  validate,
+  muteChat,
+);
+
+// DELETE unmute a conversation
+ChatRouter.delete(
+  "/:conversationId/mute",
+  conversationIdValidator(),
+  validate,
+  unmuteChat,
+);
+
+// EXPORT AT THE END
+export default ChatRouter;
@@ -0,0 +1,77 @@
+import { Router } from "express";
+import authValidator from "../middlewares/auth-middleware.js";
+import validate from "../middlewares/validator-middleware.js";
+import {
+  friendRequestSendValidator,
+  friendRequestIdValidator,
+  friendUserIdValidator,
+  friendRequestsListValidator,
+} from "../validators/validate.js";
+import {
+  getFriends,
+  getFriendRequests,
+  sendFriendRequest,
+  acceptFriendRequest,
+  declineFriendRequest,
+  cancelFriendRequest,
+  removeFriend,
+} from "../controllers/friends-controller.js";
+
+const FriendRouter = Router();
+
+// every friend route needs a logged-in user
+FriendRouter.use(authValidator);
+
+// GET my friends
+FriendRouter.get("/", getFriends);
+
+// GET pending requests (?direction=incoming|outgoing)
+FriendRouter.get(
+  "/requests",
+  friendRequestsListValidator(),
+  validate,
+  getFriendRequests,
+);
+
+// POST send a friend request
+FriendRouter.post(
+  "/requests",
+  friendRequestSendValidator(),
+  validate,
+  sendFriendRequest,
+);
+
+// POST accept a request (recipient)
+FriendRouter.post(
+  "/requests/:requestId/accept",
+  friendRequestIdValidator(),
+  validate,
+  acceptFriendRequest,
+);
+
+// POST decline a request (recipient)
+FriendRouter.post(
+  "/requests/:requestId/decline",
+  friendRequestIdValidator(),
+  validate,
+  declineFriendRequest,
+);
+
+// DELETE cancel a request (sender)
+FriendRouter.delete(
+  "/requests/:requestId",
+  friendRequestIdValidator(),
+  validate,
+  cancelFriendRequest,
+);
+
+// DELETE unfriend
+FriendRouter.delete(
+  "/:userId",
+  friendUserIdValidator(),
+  validate,
+  removeFriend,
+);
+
+// EXPORT AT THE END
+export default FriendRouter;
@@ -0,0 +1,97 @@
+import { Router } from "express";
+import authValidator from "../middlewares/auth-middleware.js";
+import validate from "../middlewares/validator-middleware.js";
+import {
+  conversationIdValidator,
+  groupCreateValidator,
+  groupUpdateValidator,
+  groupAddMembersValidator,
+  groupMemberValidator,
+  groupTransferOwnershipValidator,
+} from "../validators/validate.js";
+import {
+  createGroup,
+  updateGroup,
+  addMembers,
+  removeMember,
+  promoteAdmin,
+  demoteAdmin,
+  transferOwnership,
+  leaveGroup,
+  deleteGroup,
+} from "../controllers/groups-controller.js";
+
+const GroupRouter = Router();
+
+// every group route needs a logged-in user
+GroupRouter.use(authValidator);
+
+// POST create a group
+GroupRouter.post("/", groupCreateValidator(), validate, createGroup);
+
+// PUT update group info (name, image) — admins
+GroupRouter.put(
+  "/:conversationId",
+  groupUpdateValidator(),
+  validate,
+  updateGroup,
+);
+
+// DELETE the group — owner
+GroupRouter.delete(
+  "/:conversationId",
+  conversationIdValidator(),
+  validate,
+  deleteGroup,
+);
+
+// POST add members — admins
+GroupRouter.post(
+  "/:conversationId/members",
+  groupAddMembersValidator(),
+  validate,
+  addMembers,
+);
+
+// DELETE remove a member — admins
+GroupRouter.delete(
+  "/:conversationId/members/:userId",
+  groupMemberValidator(),
+  validate,
+  removeMember,
+);
+
+// POST promote a member to admin — admins
+GroupRouter.post(
+  "/:conversationId/admins/:userId",
+  groupMemberValidator(),
+  validate,
+  promoteAdmin,
+);
+
+// DELETE demote an admin — owner
+GroupRouter.delete(
+  "/:conversationId/admins/:userId",
+  groupMemberValidator(),
+  validate,
+  demoteAdmin,
+);
+
+// POST transfer ownership — owner
+GroupRouter.post(
+  "/:conversationId/transfer-ownership",
+  groupTransferOwnershipValidator(),
+  validate,
+  transferOwnership,
+);
+
+// POST leave the group
+GroupRouter.post(
+  "/:conversationId/leave",
+  conversationIdValidator(),
+  validate,
+  leaveGroup,
+);
+
+// EXPORT AT THE END
+export default GroupRouter;
@@ -0,0 +1,38 @@
+import { Router } from "express";
+import authValidator from "../middlewares/auth-middleware.js";
+import validate from "../middlewares/validator-middleware.js";
+import { uploadSingle } from "../middlewares/upload-middleware.js";
+import rateLimit from "../middlewares/rate-limit-middleware.js";
+import { attachmentIdValidator } from "../validators/validate.js";
+import { uploadMedia, deleteMedia } from "../controllers/media-controller.js";
+
+const MediaRouter = Router();
+
+// every media route needs a logged-in user
+MediaRouter.use(authValidator);
+
+// POST upload a file/image/audio (multipart field "file")
+// (bursts of up to 20 uploads, refilled over a minute)
+MediaRouter.post(
+  "/upload",
+  rateLimit({
+    name: "media-upload",
+    key: "user",
+    algorithm: "token-bucket",
+    limit: 20,
+    window: 60,
+  }),
+  uploadSingle("file"),
+  uploadMedia,
+);
+
+// DELETE an uploaded file that was never sent
+MediaRouter.delete(
+  "/:attachmentId",
+  attachmentIdValidator(),
+  validate,
+  deleteMedia,
+);
+
+// EXPORT AT THE END
+export default MediaRouter;
@@ -0,0 +1,60 @@
+import { Router } from "express";
+import authValidator from "../middlewares/auth-middleware.js";
+import validate from "../middlewares/validator-middleware.js";
+import {
+  notificationIdValidator,
+  notificationListValidator,
+  notificationPreferencesValidator,
+  digestUnsubscribeValidator,
+} from "../validators/validate.js";
+import {
+  getNotifications,
+  markRead,
+  markAllRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  unsubscribeDigest,
+} from "../controllers/notifications-controller.js";
+
+const NotificationRouter = Router();
+
+// GET unsubscribe from digest emails (the emailed token is the credential)
+NotificationRouter.get(
+  "/unsubscribe",
+  digestUnsubscribeValidator(),
+  validate,
+  unsubscribeDigest,
+);
+
+// GET my notifications (newest first, cursor paginated)
+NotificationRouter.get(
+  "/",
+  authValidator,
+  notificationListValidator(),
+  validate,
+  getNotifications,
+);
+
+// POST mark every notification as read (before /:notificationId)
+NotificationRouter.post("/read-all", authValidator, markAllRead);
+
+// GET / PATCH my notification preferences
+NotificationRouter.route("/preferences")
+  .get(authValidator, getNotificationPreferences)
+  .patch(
+    authValidator,
+    notificationPreferencesValidator(),
+    validate,
+    updateNotificationPreferences,
+  );
+
+// POST mark one notification as read
+NotificationRouter.post(
+  "/:notificationId/read",
+  authValidator,
+  notificationIdValidator(),
+  validate,
+  markRead,
+);
+
+export default NotificationRouter;
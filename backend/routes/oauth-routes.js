@@ -0,0 +1,63 @@
+import { Router } from "express";
+
+import { oauthProviderValidator } from "../validators/validate.js";
+
+import validate from "../middlewares/validator-middleware.js";
+
+import {
+  getProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  handleOAuthCallback,
+  getLinkedAccounts,
+  unlinkOAuthAccount,
+} from "../controllers/oauth-controller.js";
+
+import authValidator from "../middlewares/auth-middleware.js";
+import rateLimit from "../middlewares/rate-limit-middleware.js";
+
+const OAuthRouter = new Router();
+
+// Each start stores a state in Redis
+const oauthStartLimit = rateLimit({
+  name: "oauth-start",
+  key: "ip",
+  limit: 20,
+  window: 60,
+});
+
+// Configured providers (login buttons)
+OAuthRouter.route("/providers").get(getProviders);
+
+// Providers linked to the logged-in user
+OAuthRouter.route("/accounts").get(authValidator, getLinkedAccounts);
+
+// Login / sign up: redirects to the provider
+OAuthRouter.route("/:provider").get(
+  oauthProviderValidator(),
+  validate,
+  oauthStartLimit,
+  startOAuthLogin,
+);
+
+// Provider redirects back here (registered redirect URI)
+OAuthRouter.route("/:provider/callback").get(handleOAuthCallback);
+
+// Link a provider to the logged-in user
+OAuthRouter.route("/:provider/link").post(
+  authValidator,
+  oauthProviderValidator(),
+  validate,
+  oauthStartLimit,
+  startOAuthLink,
+);
+
+// Unlink a provider
+OAuthRouter.route("/:provider").delete(
+  authValidator,
+  oauthProviderValidator(),
+  validate,
+  unlinkOAuthAccount,
+);
+
+export default OAuthRouter;
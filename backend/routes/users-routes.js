@@ -1,8 +1,20 @@
 import { Router } from "express";
 import authValidator from "../middlewares/auth-middleware.js";
+import validate from "../middlewares/validator-middleware.js";
+import rateLimit from "../middlewares/rate-limit-middleware.js";
+import { uploadSingle } from "../middlewares/upload-middleware.js";
+import {
+  userProfileUpdateValidator,
+  blockUserValidator,
+  userSearchValidator,
+} from "../validators/validate.js";
 import {
   getCurrentUser,
   getAllUsers,
+  updateProfile,
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
 } from "../controllers/users-controller.js";
 
 const UserRouter = Router();
@@ -10,8 +22,46 @@ const UserRouter = Router();
 // GET current logged-in user
 UserRouter.get("/me", authValidator, getCurrentUser);
 
+// PATCH update my profile (username, bio, avatar as multipart "avatar")
+UserRouter.patch(
+  "/me",
+  authValidator,
+  uploadSingle("avatar"),
+  userProfileUpdateValidator(),
+  validate,
+  updateProfile,
+);
+
+// GET users I blocked
+UserRouter.get("/blocked", authValidator, getBlockedUsers);
+
+// POST block a user
+UserRouter.post(
+  "/:userId/block",
+  authValidator,
+  blockUserValidator(),
+  validate,
+  blockUser,
+);
+
+// DELETE unblock a user
+UserRouter.delete(
+  "/:userId/block",
+  authValidator,
+  blockUserValidator(),
+  validate,
+  unblockUser,
+);
+
 // GET all users (search + pagination)
-UserRouter.get("/", authValidator, getAllUsers);
+UserRouter.get(
+  "/",
+  authValidator,
+  userSearchValidator(),
+  validate,
+  rateLimit({ name: "user-search", key: "user", limit: 30, window: 60 }),
+  getAllUsers,
+);
 
 // EXPORT AT THE END
 export default UserRouter;
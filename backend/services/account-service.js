@@ -0,0 +1,341 @@
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import User from "../models/Users.js";
+import Conversation, { ROLE_RANK } from "../models/Conversations.js";
+import Message from "../models/Messages.js";
+import Attachment from "../models/Attachments.js";
+import FriendRequest from "../models/FriendRequests.js";
+import ApiToken from "../models/ApiTokens.js";
+import Notification from "../models/Notifications.js";
+import { redisClient } from "../redis/redisClient.js";
+import { SecurityAlertMailGenContent } from "../utils/mailgen.js";
+import emailQueue from "../queues/email.queue.js";
+import accountQueue from "../queues/account.queue.js";
+import { revokeAllSessions } from "./session-service.js";
+import {
+  removeMessageAttachments,
+  removeUnsentUploads,
+  removeStoredFile,
+} from "./media-service.js";
+import { removeUserExports } from "./export-service.js";
+
+// Time to change one's mind between requesting and actual deletion
+const DELETION_GRACE_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One delayed job per user, so it can be found again to cancel it
+const deletionJobId = (userId) => `delete-account-${userId}`;
+
+// Anonymized group messages are reassigned to this placeholder account.
+// It is never verified, so nobody can log in as it or add it to a chat.
+const PLACEHOLDER_EMAIL = "deleted-user@baatcheet.invalid";
+const PLACEHOLDER_USERNAME = "Deleted user";
+
+//---------------------------------------------------------
+// SCHEDULE / CANCEL (API)
+//---------------------------------------------------------
+const scheduleDeletion = async (userId, { anonymizeMessages = false } = {}) => {
+  const requestedAt = new Date();
+  const scheduledFor = new Date(
+    requestedAt.getTime() + DELETION_GRACE_DAYS * DAY_MS,
+  );
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { deletion: { requestedAt, scheduledFor, anonymizeMessages } } },
+  );
+
+  // a job id that already exists would make add() a no-op
+  await accountQueue.remove(deletionJobId(userId));
+  await accountQueue.add(
+    "deleteAccount",
+    { userId: String(userId) },
+    { jobId: deletionJobId(userId), delay: scheduledFor - requestedAt },
+  );
+
+  return { scheduledFor, anonymizeMessages };
+};
+
+// → false when no deletion was scheduled
+const cancelDeletion = async (userId) => {
+  const result = await User.updateOne(
+    { _id: userId, "deletion.scheduledFor": { $ne: null } },
+    {
+      $set: {
+        deletion: {
+          requestedAt: null,
+          scheduledFor: null,
+          anonymizeMessages: false,
+        },
+      },
+    },
+  );
+  await accountQueue.remove(deletionJobId(userId));
+  return result.modifiedCount > 0;
+};
+
+//---------------------------------------------------------
+// DELETE (worker): chats first, the user document last, so a
+// failed run can simply be retried
+//---------------------------------------------------------
+const createPlaceholderUser = async (username) =>
+  User.create({
+    username,
+    email: PLACEHOLDER_EMAIL,
+    password: await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10),
+    hasPassword: false,
+    isVerified: false,
+  });
+
+const getPlaceholderUser = async () => {
+  const existing = await User.findOne({ email: PLACEHOLDER_EMAIL });
+  if (existing) return existing;
+
+  try {
+    return await createPlaceholderUser(PLACEHOLDER_USERNAME);
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+    // created concurrently — or a real user already has that username
+    return (
+      (await User.findOne({ email: PLACEHOLDER_EMAIL })) ??
+      createPlaceholderUser(`deleted_user_${crypto.randomInt(100000, 1000000)}`)
+    );
+  }
+};
+
+// Messages (and their attachments) gone for everyone
+const deleteMessages = async (filter) => {
+  const attachmentMessageIds = await Message.find({
+    ...filter,
+    attachment: { $ne: null },
+  }).distinct("_id");
+  await removeMessageAttachments(attachmentMessageIds);
+  await Message.deleteMany(filter);
+};
+
+// Nobody is left to read it
+const deleteConversation = async (conversation) => {
+  await deleteMessages({ conversation: conversation._id });
+  await Conversation.deleteOne({ _id: conversation._id });
+};
+
+// Next owner: highest role first, then longest membership
+const pickHeir = (members) =>
+  [...members].sort(
+    (a, b) =>
+      ROLE_RANK[b.role] - ROLE_RANK[a.role] ||
+      new Date(a.joinedAt) - new Date(b.joinedAt),
+  )[0];
+
+// Groups and direct chats alike: the other people keep the chat and their
+// own messages, only the deleted user's side goes (or is anonymized)
+// Takes the user's messages that a member hadn't read yet off that
+// member's unread counter, before those messages are deleted
+const dropUnreadFrom = async (conversationId, members, userId) => {
+  const updates = [];
+  for (const member of members) {
+    if (!(member.unreadCount > 0)) continue;
+    const unread = await Message.countDocuments({
+      conversation: conversationId,
+      sender: userId,
+      type: { $ne: "system" },
+      deletedAt: null,
+      ...(member.lastReadMessage && {
+        _id: { $gt: member.lastReadMessage },
+      }),
+    });
+    if (unread === 0) continue;
+
+    // a counter that already drifted below this is cleared, not made negative
+    updates.push(
+      {
+        updateOne: {
+          filter: { _id: conversationId },
+          update: { $set: { "members.$[unread].unreadCount": 0 } },
+          arrayFilters: [
+            {
+              "unread.user": member.user,
+              "unread.unreadCount": { $lt: unread },
+            },
+          ],
+        },
+      },
+      {
+        updateOne: {
+          filter: { _id: conversationId },
+          update: { $inc: { "members.$[unread].unreadCount": -unread } },
+          arrayFilters: [
+            {
+              "unread.user": member.user,
+              "unread.unreadCount": { $gte: unread },
+            },
+          ],
+        },
+      },
+    );
+  }
+  if (updates.length > 0) await Conversation.bulkWrite(updates);
+};
+
+const leaveConversationForDeletion = async (
+  conversation,
+  userId,
+  { placeholderId, anonymizeMessages },
+) => {
+  const others = conversation.members.filter(
+    (member) => String(member.user) !== String(userId),
+  );
+  if (others.length === 0) return deleteConversation(conversation);
+
+  // optimistic concurrency: bump __v so a stale group.save() can't undo this
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $pull: { members: { user: userId } }, $inc: { __v: 1 } },
+  );
+
+  if (conversation.type === "group") {
+    // ownership moves on, membership history stays readable under the
+    // placeholder
+    if (conversation.getRole(userId) === "owner") {
+      const heir = pickHeir(others);
+      await Conversation.updateOne(
+        { _id: conversation._id, "members.user": heir.user },
+        { $set: { "members.$.role": "owner" }, $inc: { __v: 1 } },
+      );
+    }
+    await Message.updateMany(
+      { conversation: conversation._id, sender: userId, type: "system" },
+      { $set: { sender: placeholderId } },
+    );
+  }
+
+  if (anonymizeMessages) {
+    await Message.updateMany(
+      { conversation: conversation._id, sender: userId },
+      { $set: { sender: placeholderId } },
+    );
+  } else {
+    await dropUnreadFrom(conversation._id, others, userId);
+    await deleteMessages({ conversation: conversation._id, sender: userId });
+
+    // the chat list points at the newest message that is left
+    const latest = await Message.findOne({ conversation: conversation._id })
+      .sort({ _id: -1 })
+      .select("createdAt");
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      {
+        $set: {
+          lastMessage: latest?._id ?? null,
+          lastMessageAt: latest?.createdAt ?? null,
+        },
+      },
+    );
+  }
+};
+
+const deleteAccountNow = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return false;
+
+  // nobody is logged in as this user from here on
+  await revokeAllSessions(userId);
+  await redisClient.del(
+    `refresh:${userId}`, // pre-sessions refresh token key
+    `presence:${userId}`,
+    `email-change:${userId}`,
+  );
+  await ApiToken.deleteMany({ user: userId });
+
+  const anonymizeMessages = Boolean(user.deletion?.anonymizeMessages);
+  const conversations = await Conversation.find({ "members.user": userId });
+  // takes over anonymized messages and group membership history
+  const placeholder =
+    conversations.length > 0 &&
+    (anonymizeMessages || conversations.some((c) => c.type === "group"))
+      ? await getPlaceholderUser()
+      : null;
+
+  for (const conversation of conversations) {
+    await leaveConversationForDeletion(conversation, userId, {
+      placeholderId: placeholder?._id,
+      anonymizeMessages,
+    });
+  }
+
+  // what is left: anonymized messages' files, read receipts, messages
+  // deleted "for me", reactions, mentions, unsent uploads
+  if (placeholder) {
+    await Attachment.updateMany(
+      { uploader: userId, message: { $ne: null } },
+      { $set: { uploader: placeholder._id } },
+    );
+  }
+  await Message.updateMany(
+    { "deliveries.user": userId },
+    { $pull: { deliveries: { user: userId } } },
+  );
+  await Message.updateMany(
+    { hiddenFor: userId },
+    { $pull: { hiddenFor: userId } },
+  );
+  await Message.updateMany(
+    { "reactions.users": userId },
+    {
+      $pull: { "reactions.$[mine].users": userId },
+      $inc: { "reactions.$[mine].count": -1 },
+    },
+    { arrayFilters: [{ "mine.users": userId }] },
+  );
+  await Message.updateMany(
+    { "reactions.count": { $lte: 0 } },
+    { $pull: { reactions: { count: { $lte: 0 } } } },
+  );
+  await Message.updateMany(
+    { "mentions.user": userId },
+    { $pull: { mentions: { user: userId } } },
+  );
+  await removeUnsentUploads(userId);
+
+  // friends, blocks and pending requests
+  await User.updateMany(
+    { $or: [{ friends: userId }, { blockedUsers: userId }] },
+    { $pull: { friends: userId, blockedUsers: userId } },
+  );
+  await FriendRequest.deleteMany({ $or: [{ from: userId }, { to: userId }] });
+
+  // my notifications, and the ones my mentions / requests caused
+  await Notification.deleteMany({ $or: [{ user: userId }, { actor: userId }] });
+
+  await removeUserExports(userId);
+  await removeStoredFile(user.avatarStorage);
+  await User.deleteOne({ _id: userId });
+
+  emailQueue.add("sendMail", {
+    email: user.email,
+    subject: "Your BaatCheet account was deleted",
+    mailGenContent: SecurityAlertMailGenContent(
+      user.username,
+      "Your BaatCheet account and its data were deleted, as you requested. Thanks for chatting with us.",
+      { Time: new Date().toUTCString() },
+    ),
+  });
+
+  return true;
+};
+
+// The delayed job fires; a cancelled (or rescheduled) deletion is skipped
+const runScheduledDeletion = async (userId) => {
+  const user = await User.findById(userId).select("deletion");
+  const scheduledFor = user?.deletion?.scheduledFor;
+  if (!scheduledFor || scheduledFor > new Date()) return false;
+
+  return deleteAccountNow(userId);
+};
+
+export {
+  DELETION_GRACE_DAYS,
+  scheduleDeletion,
+  cancelDeletion,
+  runScheduledDeletion,
+};
@@ -0,0 +1,106 @@
+import crypto from "crypto";
+import ApiToken from "../models/ApiTokens.js";
+import User from "../models/Users.js";
+import ApiError from "../utils/api-error.js";
+
+// Personal API tokens look like "bct_<43 chars>" (access tokens are JWTs)
+const TOKEN_PREFIX = "bct_";
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+
+// lastUsedAt is written at most this often per token
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+// Routers an API token can reach, and the resource its scopes name.
+// Anything else (notably /api/auth: sessions, passwords, tokens) needs a login.
+const SCOPED_ROUTERS = {
+  "/api/users": "users",
+  "/api/chats": "chats",
+  "/api/groups": "groups",
+  "/api/friends": "friends",
+  "/api/media": "media",
+};
+
+const hashApiToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const isApiToken = (token) =>
+  typeof token === "string" && token.startsWith(TOKEN_PREFIX);
+
+//---------------------------------------------------------
+// CREATE: the plaintext token is returned once and never stored
+//---------------------------------------------------------
+const generateApiToken = () => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  return {
+    token,
+    tokenHash: hashApiToken(token),
+    prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+  };
+};
+
+//---------------------------------------------------------
+// VERIFY (authValidator)
+//---------------------------------------------------------
+const invalidTokenError = () => {
+  const error = new ApiError(401, "Invalid or expired API token");
+  error.code = "INVALID_API_TOKEN";
+  return error;
+};
+
+// → { user, apiToken }
+const verifyApiToken = async (token, { ip } = {}) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashApiToken(token) });
+  // the TTL index removes expired tokens, but only once a minute
+  if (!apiToken || (apiToken.expiresAt && apiToken.expiresAt <= new Date())) {
+    throw invalidTokenError();
+  }
+
+  const user = await User.findById(apiToken.user).select("-password");
+  if (!user) throw invalidTokenError();
+  // tokens from before a password change/reset are dead
+  if (user.passwordChangedAt && apiToken.createdAt < user.passwordChangedAt) {
+    throw invalidTokenError();
+  }
+
+  if (
+    !apiToken.lastUsedAt ||
+    Date.now() - apiToken.lastUsedAt.getTime() > LAST_USED_THROTTLE_MS
+  ) {
+    ApiToken.updateOne(
+      { _id: apiToken._id },
+      { lastUsedAt: new Date(), lastUsedIp: ip || "" },
+    ).catch((error) => console.error("API token usage update failed:", error));
+  }
+
+  return { user, apiToken };
+};
+
+//---------------------------------------------------------
+// SCOPES: <resource>:read for GET/HEAD, <resource>:write otherwise
+//---------------------------------------------------------
+const requiredScope = (req) => {
+  const resource = SCOPED_ROUTERS[req.baseUrl];
+  if (!resource) return null;
+  const access = ["GET", "HEAD"].includes(req.method) ? "read" : "write";
+  return `${resource}:${access}`;
+};
+
+const assertApiTokenScope = (req, scopes) => {
+  const scope = requiredScope(req);
+
+  if (!scope) {
+    const error = new ApiError(403, "API tokens can't be used for this route");
+    error.code = "API_TOKEN_NOT_ALLOWED";
+    throw error;
+  }
+  if (!scopes.includes(scope)) {
+    const error = new ApiError(
+      403,
+      `This API token lacks the "${scope}" scope`,
+    );
+    error.code = "INSUFFICIENT_SCOPE";
+    throw error;
+  }
+};
+
+export { isApiToken, generateApiToken, verifyApiToken, assertApiTokenScope };
@@ -0,0 +1,54 @@
+import User from "../models/Users.js";
+import ApiError from "../utils/api-error.js";
+
+//---------------------------------------------------------
+// BLOCK LOOKUPS
+//---------------------------------------------------------
+
+// true when either user has blocked the other
+const isBlockedBetween = async (userId, otherId) => {
+  return Boolean(
+    await User.exists({
+      $or: [
+        { _id: userId, blockedUsers: otherId },
+        { _id: otherId, blockedUsers: userId },
+      ],
+    }),
+  );
+};
+
+// Users who have blocked `userId`
+const getBlockedByIds = async (userId) => {
+  const ids = await User.distinct("_id", { blockedUsers: userId });
+  return ids.map(String);
+};
+
+// Every user on the other side of a block with `userId`, in either direction
+const getBlockedEitherWayIds = async (userId) => {
+  const [user, blockedBy] = await Promise.all([
+    User.findById(userId).select("blockedUsers"),
+    getBlockedByIds(userId),
+  ]);
+
+  return new Set([...(user?.blockedUsers ?? []).map(String), ...blockedBy]);
+};
+
+//---------------------------------------------------------
+// POLICY
+//---------------------------------------------------------
+const assertNotBlocked = async (senderId, recipientId) => {
+  if (await isBlockedBetween(senderId, recipientId)) {
+    throw new ApiError(403, "You can't message this user");
+  }
+};
+
+// Users on the other side of a block look permanently offline
+const hidePresence = (user) => ({ ...user, status: "offline", lastSeen: null });
+
+export {
+  isBlockedBetween,
+  getBlockedByIds,
+  getBlockedEitherWayIds,
+  assertNotBlocked,
+  hidePresence,
+};
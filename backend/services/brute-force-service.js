@@ -0,0 +1,158 @@
+import crypto from "crypto";
+import ApiError from "../utils/api-error.js";
+import { redisClient } from "../redis/redisClient.js";
+
+// Failures are counted over a sliding window...
+const FAILURE_WINDOW = 15 * 60; // 15 minutes
+// ...and this many of them lock the account / IP out
+const MAX_ACCOUNT_FAILURES = 5;
+const MAX_IP_FAILURES = 20;
+
+// Each lockout within a day lasts twice as long as the previous one
+const BASE_LOCKOUT = 60; // 1 minute
+const MAX_LOCKOUT = 60 * 60; // 1 hour
+const LOCKOUT_LEVEL_TTL = 24 * 60 * 60; // 1 day
+
+// Wrong codes allowed for one emailed OTP before it is burnt
+const MAX_OTP_ATTEMPTS = 5;
+
+// bf:<action>:<scope>:<id>:fails → ZSET of failure timestamps
+// bf:<action>:<scope>:<id>:lock  → "1" while locked out (EX = lockout)
+// bf:<action>:<scope>:<id>:level → lockouts so far (EX 1 day)
+const guardKey = (action, scope, id, suffix) =>
+  `bf:${action}:${scope}:${id}:${suffix}`;
+
+const scopesFor = ({ email, ip }) =>
+  [
+    email && {
+      scope: "account",
+      id: String(email).toLowerCase(),
+      max: MAX_ACCOUNT_FAILURES,
+    },
+    ip && { scope: "ip", id: ip, max: MAX_IP_FAILURES },
+  ].filter(Boolean);
+
+const lockedError = (retryAfter) => {
+  const error = new ApiError(
+    429,
+    `Too many failed attempts. Try again in ${retryAfter} seconds.`,
+  );
+  error.code = "TOO_MANY_ATTEMPTS";
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+//---------------------------------------------------------
+// BEFORE AN ATTEMPT: refuse while the account or IP is locked
+//---------------------------------------------------------
+const assertNotLocked = async (action, target) => {
+  const scopes = scopesFor(target);
+  const pipeline = redisClient.pipeline();
+  scopes.forEach(({ scope, id }) =>
+    pipeline.ttl(guardKey(action, scope, id, "lock")),
+  );
+  const results = await pipeline.exec();
+
+  const retryAfter = Math.max(0, ...results.map(([, ttl]) => ttl));
+  if (retryAfter > 0) throw lockedError(retryAfter);
+};
+
+//---------------------------------------------------------
+// AFTER A FAILED ATTEMPT: count it, lock out past the limit
+//---------------------------------------------------------
+// Returns the lockout in seconds when this failure triggered one, else 0
+const recordFailure = async (action, target) => {
+  const now = Date.now();
+  let lockout = 0;
+
+  for (const { scope, id, max } of scopesFor(target)) {
+    const failsKey = guardKey(action, scope, id, "fails");
+    const [, , [, count]] = await redisClient
+      .multi()
+      .zremrangebyscore(failsKey, 0, now - FAILURE_WINDOW * 1000)
+      .zadd(failsKey, now, `${now}:${crypto.randomUUID()}`)
+      .zcard(failsKey)
+      .expire(failsKey, FAILURE_WINDOW)
+      .exec();
+
+    if (count < max) continue;
+
+    // progressive: 1m, 2m, 4m… capped, remembered for a day
+    const levelKey = guardKey(action, scope, id, "level");
+    const [[, level]] = await redisClient
+      .multi()
+      .incr(levelKey)
+      .expire(levelKey, LOCKOUT_LEVEL_TTL)
+      .del(failsKey)
+      .exec();
+    const duration = Math.min(BASE_LOCKOUT * 2 ** (level - 1), MAX_LOCKOUT);
+
+    await redisClient.set(
+      guardKey(action, scope, id, "lock"),
+      "1",
+      "EX",
+      duration,
+    );
+    lockout = Math.max(lockout, duration);
+  }
+
+  return lockout;
+};
+
+// Failed attempt that has to be reported: locked out → 429, otherwise `error`
+const failAttempt = async (action, target, error) => {
+  const lockout = await recordFailure(action, target);
+  throw lockout > 0 ? lockedError(lockout) : error;
+};
+
+//---------------------------------------------------------
+// AFTER A SUCCESS: the account starts from a clean slate
+//---------------------------------------------------------
+const clearFailures = async (action, { email }) => {
+  if (!email) return;
+  const id = String(email).toLowerCase();
+  await redisClient.del(
+    guardKey(action, "account", id, "fails"),
+    guardKey(action, "account", id, "level"),
+  );
+};
+
+//---------------------------------------------------------
+// EMAILED OTPs: a few wrong codes burn the OTP
+//---------------------------------------------------------
+const otpAttemptsKey = (otpKey) => `${otpKey}:attempts`;
+
+// Call whenever a new OTP is stored under `otpKey`
+const resetOtpAttempts = async (otpKey) => {
+  await redisClient.del(otpAttemptsKey(otpKey));
+};
+
+// Counts a wrong code and returns the error to report: after
+// MAX_OTP_ATTEMPTS the OTP is deleted and a new one has to be requested
+const wrongOtpError = async (otpKey, error) => {
+  const attemptsKey = otpAttemptsKey(otpKey);
+  const [[, attempts]] = await redisClient
+    .multi()
+    .incr(attemptsKey)
+    .expire(attemptsKey, FAILURE_WINDOW)
+    .exec();
+
+  if (attempts < MAX_OTP_ATTEMPTS) return error;
+
+  await redisClient.del(otpKey, attemptsKey);
+  const burnt = new ApiError(
+    400,
+    "Too many incorrect codes. Please request a new OTP.",
+  );
+  burnt.code = "OTP_ATTEMPTS_EXCEEDED";
+  return burnt;
+};
+
+export {
+  assertNotLocked,
+  recordFailure,
+  failAttempt,
+  clearFailures,
+  resetOtpAttempts,
+  wrongOtpError,
+};
@@ -0,0 +1,358 @@
+import mongoose from "mongoose";
+import Conversation from "../models/Conversations.js";
+import Message from "../models/Messages.js";
+import ApiError from "../utils/api-error.js";
+import { emitToConversation, emitToUser } from "../socket/socket-emitter.js";
+import { getOnlineMap } from "./presence-service.js";
+import { stopTyping } from "./typing-service.js";
+import { claimAttachment, releaseAttachment } from "./media-service.js";
+import { assertCanDirectMessage } from "./friend-service.js";
+import { getBlockedEitherWayIds } from "./block-service.js";
+import { parseMentions, mentionedUserIds } from "./mention-service.js";
+import { createNotifications } from "./notification-service.js";
+
+// Fields of the sender exposed alongside every message
+const SENDER_FIELDS = "username avatar";
+
+// Fields of an attachment exposed alongside its message (no storage keys)
+const ATTACHMENT_FIELDS =
+  "kind file.url thumbnail.url mimeType size originalName width height";
+
+// Per user, shared by POST /api/chats/:id/messages and the send_message
+// socket event: bursts are fine, floods are not
+const MESSAGE_SEND_LIMIT = {
+  name: "message-send",
+  algorithm: "token-bucket",
+  limit: 20,
+  window: 10,
+  message: "You're sending messages too fast",
+};
+
+// Fields of a quoted (replied-to) message shown above the reply
+const REPLY_PREVIEW_FIELDS = "sender type content deletedAt createdAt";
+
+// populate() spec shared by every message response
+const MESSAGE_POPULATE = [
+  { path: "sender", select: SENDER_FIELDS },
+  { path: "attachment", select: ATTACHMENT_FIELDS },
+  {
+    path: "replyTo",
+    select: REPLY_PREVIEW_FIELDS,
+    populate: { path: "sender", select: SENDER_FIELDS },
+  },
+];
+
+// Fields of members exposed in chat list / details
+const MEMBER_FIELDS = "username avatar bio lastSeen status";
+
+// Length of the message text shown in a notification
+const PREVIEW_LENGTH = 100;
+
+//---------------------------------------------------------
+// LOAD A CONVERSATION THE USER BELONGS TO
+//---------------------------------------------------------
+const getConversationForMember = async (conversationId, userId) => {
+  // socket payloads skip express-validator, so guard the cast here
+  if (!mongoose.isValidObjectId(conversationId)) {
+    throw new ApiError(400, "Invalid conversation id");
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+
+  if (!conversation) {
+    throw new ApiError(404, "Conversation not found");
+  }
+
+  if (!conversation.isMember(userId)) {
+    throw new ApiError(403, "You are not a member of this conversation");
+  }
+
+  return conversation;
+};
+
+//---------------------------------------------------------
+// PERSIST A MESSAGE (shared by REST and socket paths)
+//---------------------------------------------------------
+const createMessage = async ({
+  conversation,
+  senderId,
+  content,
+  type = "text",
+  systemEvent,
+  attachment,
+  replyTo,
+  threadRoot,
+  mentions,
+  mentionsEveryone,
+  _id,
+}) => {
+  const isSystem = type === "system";
+
+  // recipients with a connected device get it right away → "delivered"
+  const recipientIds = isSystem
+    ? []
+    : conversation.members
+        .map((member) => member.user?._id ?? member.user)
+        .filter((id) => String(id) !== String(senderId));
+  const onlineMap = await getOnlineMap(recipientIds);
+  const now = new Date();
+
+  const message = await Message.create({
+    _id,
+    conversation: conversation._id,
+    sender: senderId,
+    type,
+    content,
+    systemEvent,
+    attachment: attachment?._id,
+    replyTo,
+    threadRoot,
+    mentions,
+    mentionsEveryone,
+    deliveries: recipientIds.map((id) =>
+      onlineMap.get(String(id))
+        ? { user: id, status: "delivered", deliveredAt: now }
+        : { user: id, status: "sent" },
+    ),
+  });
+
+  // atomic update: keeps the chat list preview and unread counters in sync
+  // without racing membership edits; the sender has read their own message
+  const update = {
+    $set: {
+      lastMessage: message._id,
+      lastMessageAt: message.createdAt,
+      "members.$[sender].lastReadMessage": message._id,
+      "members.$[sender].lastReadAt": message.createdAt,
+      "members.$[sender].unreadCount": 0,
+    },
+  };
+  const arrayFilters = [{ "sender.user": senderId }];
+
+  // system messages (joins, renames…) never count as unread
+  if (!isSystem) {
+    update.$inc = { "members.$[other].unreadCount": 1 };
+    arrayFilters.push({ "other.user": { $ne: senderId } });
+  }
+
+  await Conversation.updateOne({ _id: conversation._id }, update, {
+    arrayFilters,
+  });
+
+  return message.populate(MESSAGE_POPULATE);
+};
+
+//---------------------------------------------------------
+// NOTIFY RECIPIENTS (skips blocked senders, and muted conversations
+// unless the recipient is mentioned). `only` narrows it to some users.
+//---------------------------------------------------------
+const notifyRecipients = async (conversation, message, { only } = {}) => {
+  const senderId = String(message.sender?._id ?? message.sender);
+  const blockedIds = await getBlockedEitherWayIds(senderId);
+  const mentionedIds = mentionedUserIds(conversation, message);
+
+  const recipientIds = conversation.members
+    .map((member) => String(member.user?._id ?? member.user))
+    .filter(
+      (id) =>
+        id !== senderId &&
+        !blockedIds.has(id) &&
+        (!only || only.has(id)) &&
+        (mentionedIds.has(id) || !conversation.isMutedFor(id)),
+    );
+
+  const notification = {
+    conversationId: conversation._id,
+    messageId: message._id,
+    sender: message.sender,
+    type: message.type,
+    preview: message.content?.slice(0, PREVIEW_LENGTH) ?? "",
+  };
+  recipientIds.forEach((id) =>
+    emitToUser(id, "message_notification", {
+      ...notification,
+      mentioned: mentionedIds.has(id),
+    }),
+  );
+  // mentions are also kept in the notification center
+  await createNotifications(
+    recipientIds
+      .filter((id) => mentionedIds.has(id))
+      .map((id) => ({
+        user: id,
+        type: "mention",
+        actor: senderId,
+        conversation: conversation._id,
+        message: message._id,
+        preview: notification.preview,
+      })),
+  );
+};
+
+//---------------------------------------------------------
+// SYSTEM MESSAGE (group membership changes etc.)
+//---------------------------------------------------------
+const postSystemMessage = async ({
+  conversation,
+  actorId,
+  action,
+  targets = [],
+  content,
+}) => {
+  const message = await createMessage({
+    conversation,
+    senderId: actorId,
+    type: "system",
+    content,
+    systemEvent: { action, targets },
+  });
+
+  emitToConversation(conversation._id, "new_message", message);
+
+  return message;
+};
+
+//---------------------------------------------------------
+// MESSAGES A NEW ONE POINTS AT (reply-to, thread)
+//---------------------------------------------------------
+const getLinkedMessage = async (conversation, messageId, label) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw new ApiError(400, `Invalid ${label} message id`);
+  }
+
+  const message = await Message.findOne({
+    _id: messageId,
+    conversation: conversation._id,
+  }).select("type threadRoot deletedAt");
+
+  if (!message) {
+    throw new ApiError(404, `The ${label} message is not in this conversation`);
+  }
+  if (message.deletedAt) {
+    throw new ApiError(410, `The ${label} message was deleted`);
+  }
+
+  return message;
+};
+
+// → id of the thread's root; answering a thread reply joins the same thread
+const getThreadRootId = async (conversation, messageId) => {
+  const message = await getLinkedMessage(conversation, messageId, "thread");
+  if (message.type === "system") {
+    throw new ApiError(400, "System messages can't start a thread");
+  }
+  return message.threadRoot ?? message._id;
+};
+
+// The root's counters, shown under it in the main history
+const bumpThread = async (conversation, threadRootId, reply) => {
+  const root = await Message.findByIdAndUpdate(
+    threadRootId,
+    {
+      $inc: { "thread.replyCount": 1 },
+      $set: { "thread.lastReplyAt": reply.createdAt },
+    },
+    { new: true },
+  ).select("thread");
+  if (!root) return;
+
+  emitToConversation(conversation._id, "thread_updated", {
+    conversationId: conversation._id,
+    messageId: root._id,
+    replyCount: root.thread.replyCount,
+    lastReplyAt: root.thread.lastReplyAt,
+  });
+};
+
+//---------------------------------------------------------
+// SEND A MESSAGE: membership check + persist + broadcast
+//---------------------------------------------------------
+const postMessage = async ({
+  conversationId,
+  senderId,
+  content,
+  attachmentId,
+  replyToId,
+  threadRootId,
+}) => {
+  // REST requests are validated by express-validator, socket payloads are not
+  const text = typeof content === "string" ? content.trim() : "";
+  if ((!text && !attachmentId) || text.length > 5000) {
+    throw new ApiError(422, "Message must be between 1 and 5000 characters");
+  }
+
+  const conversation = await getConversationForMember(conversationId, senderId);
+
+  // direct chats honour the recipient's "friends only" setting
+  if (conversation.type === "direct") {
+    const recipient = conversation.members.find(
+      (member) => String(member.user) !== String(senderId),
+    );
+    // the other person deleted their account, the chat is read-only
+    if (!recipient) throw new ApiError(403, "This user deleted their account");
+    await assertCanDirectMessage(senderId, recipient.user);
+  }
+
+  const replyTo = replyToId
+    ? (await getLinkedMessage(conversation, replyToId, "quoted"))._id
+    : null;
+  const threadRoot = threadRootId
+    ? await getThreadRootId(conversation, threadRootId)
+    : null;
+  const { mentions, mentionsEveryone } = await parseMentions({
+    conversation,
+    senderId,
+    content: text,
+  });
+
+  // the attachment decides the message type (image / file / audio)
+  const messageId = new mongoose.Types.ObjectId();
+  const attachment = attachmentId
+    ? await claimAttachment({
+        attachmentId,
+        uploaderId: senderId,
+        messageId,
+      })
+    : null;
+
+  let message;
+  try {
+    message = await createMessage({
+      _id: messageId,
+      conversation,
+      senderId,
+      content: text,
+      type: attachment?.kind ?? "text",
+      attachment,
+      replyTo,
+      threadRoot,
+      mentions,
+      mentionsEveryone,
+    });
+  } catch (error) {
+    // the upload can be sent again
+    if (attachment) await releaseAttachment(attachment._id);
+    throw error;
+  }
+
+  emitToConversation(conversation._id, "new_message", message);
+  if (threadRoot) await bumpThread(conversation, threadRoot, message);
+  await notifyRecipients(conversation, message);
+
+  // sending ends the typing indicator without waiting for its TTL
+  await stopTyping(conversation._id, senderId);
+
+  return message;
+};
+
+export {
+  SENDER_FIELDS,
+  MESSAGE_SEND_LIMIT,
+  MESSAGE_POPULATE,
+  MEMBER_FIELDS,
+  getConversationForMember,
+  createMessage,
+  notifyRecipients,
+  postMessage,
+  postSystemMessage,
+};
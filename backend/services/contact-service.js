@@ -0,0 +1,28 @@
+import User from "../models/Users.js";
+import Conversation from "../models/Conversations.js";
+import { emitToUser } from "../socket/socket-emitter.js";
+import { getBlockedEitherWayIds } from "./block-service.js";
+
+//---------------------------------------------------------
+// CONTACTS = friends + everyone the user shares a conversation with,
+// minus anyone on the other side of a block
+//---------------------------------------------------------
+const getContactIds = async (userId) => {
+  const [memberIds, user, blockedIds] = await Promise.all([
+    Conversation.distinct("members.user", { "members.user": userId }),
+    User.findById(userId).select("friends"),
+    getBlockedEitherWayIds(userId),
+  ]);
+
+  const ids = new Set([...memberIds, ...(user?.friends ?? [])].map(String));
+  ids.delete(String(userId));
+  return [...ids].filter((id) => !blockedIds.has(id));
+};
+
+// Push an event to every contact of the user
+const emitToContacts = async (userId, event, payload) => {
+  const contactIds = await getContactIds(userId);
+  contactIds.forEach((contactId) => emitToUser(contactId, event, payload));
+};
+
+export { getContactIds, emitToContacts };
@@ -0,0 +1,338 @@
+import archiver from "archiver";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Readable } from "stream";
+import { finished, pipeline } from "stream/promises";
+import User from "../models/Users.js";
+import Conversation from "../models/Conversations.js";
+import Message from "../models/Messages.js";
+import Attachment from "../models/Attachments.js";
+import DataExport from "../models/DataExports.js";
+import ApiError from "../utils/api-error.js";
+import { serverLink } from "../utils/client-url.js";
+import { DataExportReadyMailGenContent } from "../utils/mailgen.js";
+import emailQueue from "../queues/email.queue.js";
+
+// A finished archive can be downloaded for this long, then it is purged
+const EXPORT_VALID_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Archives are personal data: they live in MongoDB (GridFS), not in the
+// public media storage, and are only served through the download endpoint
+const BUCKET_NAME = "exports";
+const getBucket = () =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+    bucketName: BUCKET_NAME,
+  });
+
+const hashExportToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const json = (data) => JSON.stringify(data, null, 2);
+
+// Same output as json(array), produced one item at a time
+async function* jsonArray(items) {
+  let first = true;
+  for await (const item of items) {
+    yield `${first ? "[\n" : ",\n"}${json(item).replace(/^/gm, "  ")}`;
+    first = false;
+  }
+  yield first ? "[]" : "\n]";
+}
+
+const README = `BaatCheet data export
+
+profile.json               your account and profile
+conversations.json         the chats and groups you are a member of
+messages/<chatId>.json     the message history of each of those chats
+attachments.json           the files and images in those chats (links, not the files themselves)
+`;
+
+//---------------------------------------------------------
+// COLLECT
+//---------------------------------------------------------
+const profileData = async (userId) => {
+  const user = await User.findById(userId)
+    .populate("friends", "username")
+    .populate("blockedUsers", "username")
+    .lean();
+  if (!user) throw new Error(`User ${userId} not found`);
+
+  return {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    bio: user.bio,
+    avatar: user.avatar,
+    privacy: user.privacy,
+    isVerified: user.isVerified,
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+    linkedAccounts: (user.oauthAccounts ?? []).map((account) => ({
+      provider: account.provider,
+      email: account.email,
+      linkedAt: account.linkedAt,
+    })),
+    friends: user.friends.map((friend) => friend.username),
+    blockedUsers: user.blockedUsers.map((blocked) => blocked.username),
+    lastSeen: user.lastSeen,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+  };
+};
+
+const conversationData = (conversation, userId) => {
+  const me = conversation.members.find(
+    (member) => String(member.user?._id) === String(userId),
+  );
+  return {
+    id: conversation._id,
+    type: conversation.type,
+    name: conversation.name ?? null,
+    createdAt: conversation.createdAt,
+    joinedAt: me?.joinedAt ?? null,
+    role: me?.role ?? null,
+    members: conversation.members.map((member) => ({
+      username: member.user?.username ?? null,
+      role: member.role,
+      joinedAt: member.joinedAt,
+    })),
+  };
+};
+
+const messageData = (message, userId) => ({
+  id: message._id,
+  sender: message.sender?.username ?? null,
+  sentByMe: String(message.sender?._id) === String(userId),
+  type: message.type,
+  content: message.content,
+  attachment: message.attachment ?? null,
+  systemEvent: message.systemEvent?.action ?? null,
+  replyTo: message.replyTo ?? null,
+  threadRoot: message.threadRoot ?? null,
+  reactions: (message.reactions ?? []).map(({ emoji, count }) => ({
+    emoji,
+    count,
+  })),
+  pinnedAt: message.pinnedAt ?? null,
+  editedAt: message.editedAt ?? null,
+  deletedAt: message.deletedAt ?? null,
+  createdAt: message.createdAt,
+  updatedAt: message.updatedAt,
+});
+
+const attachmentData = (attachment, userId) => ({
+  id: attachment._id,
+  message: attachment.message,
+  uploadedByMe: String(attachment.uploader) === String(userId),
+  kind: attachment.kind,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  originalName: attachment.originalName,
+  url: attachment.file.url,
+  thumbnailUrl: attachment.thumbnail?.url ?? null,
+  createdAt: attachment.createdAt,
+});
+
+//---------------------------------------------------------
+// BUILD: zip streamed straight into GridFS
+//---------------------------------------------------------
+const writeArchive = async (dataExport) => {
+  const userId = dataExport.user;
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  const upload = getBucket().openUploadStream(
+    `baatcheet-export-${dataExport._id}.zip`,
+    {
+      contentType: "application/zip",
+      metadata: { user: userId, export: dataExport._id },
+    },
+  );
+  const uploaded = pipeline(archive, upload);
+  // awaited below; this only keeps an early failure from going unhandled
+  uploaded.catch(() => {});
+
+  try {
+    archive.append(README, { name: "README.txt" });
+    archive.append(json(await profileData(userId)), { name: "profile.json" });
+
+    const conversations = await Conversation.find({ "members.user": userId })
+      .populate("members.user", "username")
+      .lean();
+    archive.append(
+      json(conversations.map((c) => conversationData(c, userId))),
+      { name: "conversations.json" },
+    );
+
+    // one file per chat, written straight from the cursor, so a big
+    // history never sits in memory at once
+    const attachmentIds = [];
+    for (const conversation of conversations) {
+      const cursor = Message.find({ conversation: conversation._id })
+        .sort({ _id: 1 })
+        .populate("sender", "username")
+        .lean()
+        .cursor();
+      const messages = (async function* () {
+        for await (const message of cursor) {
+          if (message.attachment) attachmentIds.push(message.attachment);
+          yield messageData(message, userId);
+        }
+      })();
+      const file = Readable.from(jsonArray(messages));
+      archive.append(file, { name: `messages/${conversation._id}.json` });
+      // one chat at a time; attachmentIds is complete once the last one ends
+      await Promise.race([finished(file), uploaded]);
+    }
+
+    // attachments of those chats + uploads that were never sent
+    const attachments = await Attachment.find({
+      $or: [{ _id: { $in: attachmentIds } }, { uploader: userId }],
+    }).lean();
+    archive.append(json(attachments.map((a) => attachmentData(a, userId))), {
+      name: "attachments.json",
+    });
+
+    await archive.finalize();
+    await uploaded;
+  } catch (error) {
+    archive.abort();
+    await upload.abort().catch(() => {});
+    throw error;
+  }
+
+  return { file: upload.id, size: archive.pointer() };
+};
+
+//---------------------------------------------------------
+// REQUEST (API) → RUN (worker)
+//---------------------------------------------------------
+// A worker that died mid-build never marks its export; no archive takes
+// this long, so an export still "processing" after it has failed
+const EXPORT_STALE_MINUTES = 30;
+
+const markExportFailed = (exportId, message) =>
+  DataExport.updateOne(
+    { _id: exportId, status: { $in: ["queued", "processing"] } },
+    { $set: { status: "failed", error: message } },
+  );
+
+const markStaleExportsFailed = (filter = {}) =>
+  DataExport.updateMany(
+    {
+      ...filter,
+      status: "processing",
+      updatedAt: { $lt: new Date(Date.now() - EXPORT_STALE_MINUTES * 60000) },
+    },
+    { $set: { status: "failed", error: "The export was interrupted" } },
+  );
+
+// Runs in workers/account.worker.js; emails the download link when done
+const runExport = async (exportId) => {
+  // claim it, so a retried job never builds the same export twice
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: "queued" },
+    { $set: { status: "processing" } },
+    { new: true },
+  );
+  if (!dataExport) return;
+
+  try {
+    const { file, size } = await writeArchive(dataExport);
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    dataExport.set({
+      status: "ready",
+      file,
+      size,
+      tokenHash: hashExportToken(token),
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + EXPORT_VALID_DAYS * DAY_MS),
+    });
+    await dataExport.save();
+
+    const user = await User.findById(dataExport.user).select("username email");
+    if (user) {
+      emailQueue.add("sendMail", {
+        email: user.email,
+        subject: "Your BaatCheet data is ready to download",
+        mailGenContent: DataExportReadyMailGenContent(
+          user.username,
+          serverLink(`/api/account/exports/${dataExport._id}/download`, {
+            token,
+          }),
+          EXPORT_VALID_DAYS,
+        ),
+      });
+    }
+  } catch (error) {
+    await markExportFailed(exportId, error.message);
+    throw error;
+  }
+};
+
+//---------------------------------------------------------
+// DOWNLOAD: the owner (logged in) or whoever holds the emailed token
+//---------------------------------------------------------
+const openExportDownload = async ({ exportId, userId, token }) => {
+  if (!mongoose.isValidObjectId(exportId)) {
+    throw new ApiError(404, "Export not found");
+  }
+
+  const dataExport = await DataExport.findById(exportId).select("+tokenHash");
+  const allowed =
+    dataExport &&
+    (token
+      ? dataExport.tokenHash === hashExportToken(token)
+      : String(dataExport.user) === String(userId));
+  if (!allowed) throw new ApiError(404, "Export not found");
+
+  if (dataExport.status !== "ready" || dataExport.expiresAt <= new Date()) {
+    throw new ApiError(410, "This export is not available anymore");
+  }
+
+  const date = dataExport.completedAt.toISOString().slice(0, 10);
+  return {
+    stream: getBucket().openDownloadStream(dataExport.file),
+    filename: `baatcheet-export-${date}.zip`,
+    size: dataExport.size,
+  };
+};
+
+//---------------------------------------------------------
+// CLEANUP
+//---------------------------------------------------------
+const removeExports = async (filter) => {
+  const exports = await DataExport.find(filter).select("file");
+  const bucket = getBucket();
+
+  for (const dataExport of exports) {
+    if (!dataExport.file) continue;
+    // already gone is fine
+    await bucket.delete(dataExport.file).catch(() => {});
+  }
+  await DataExport.deleteMany({ _id: { $in: exports.map((e) => e._id) } });
+  return exports.length;
+};
+
+// Expired archives, and failed / stuck exports older than the validity period
+const purgeExpiredExports = () =>
+  removeExports({
+    $or: [
+      { expiresAt: { $lte: new Date() } },
+      {
+        status: { $ne: "ready" },
+        createdAt: { $lte: new Date(Date.now() - EXPORT_VALID_DAYS * DAY_MS) },
+      },
+    ],
+  });
+
+const removeUserExports = (userId) => removeExports({ user: userId });
+
+export {
+  EXPORT_VALID_DAYS,
+  runExport,
+  markExportFailed,
+  markStaleExportsFailed,
+  openExportDownload,
+  purgeExpiredExports,
+  removeUserExports,
+};
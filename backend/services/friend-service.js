@@ -0,0 +1,84 @@
+import User from "../models/Users.js";
+import FriendRequest from "../models/FriendRequests.js";
+import ApiError from "../utils/api-error.js";
+import { assertNotBlocked, getBlockedEitherWayIds } from "./block-service.js";
+
+//---------------------------------------------------------
+// RELATIONSHIP CHECKS
+//---------------------------------------------------------
+const areFriends = async (userId, otherId) => {
+  return Boolean(await User.exists({ _id: userId, friends: otherId }));
+};
+
+// Map of otherId → "blocked" | "friends" | "request_sent" | "request_received" | "none"
+// `user` is the caller's document (with its friends array loaded)
+const getRelationshipMap = async (user, otherIds) => {
+  const friendIds = new Set((user.friends ?? []).map(String));
+  const blockedIds = new Set((user.blockedUsers ?? []).map(String));
+
+  const pending = await FriendRequest.find({
+    status: "pending",
+    $or: [
+      { from: user._id, to: { $in: otherIds } },
+      { to: user._id, from: { $in: otherIds } },
+    ],
+  }).select("from to");
+
+  const sentTo = new Set(pending.map((request) => String(request.to)));
+  const receivedFrom = new Set(pending.map((request) => String(request.from)));
+
+  return new Map(
+    otherIds.map((id) => {
+      const key = String(id);
+      if (blockedIds.has(key)) return [key, "blocked"];
+      if (friendIds.has(key)) return [key, "friends"];
+      if (sentTo.has(key)) return [key, "request_sent"];
+      if (receivedFrom.has(key)) return [key, "request_received"];
+      return [key, "none"];
+    }),
+  );
+};
+
+//---------------------------------------------------------
+// DIRECT MESSAGE POLICY (blocks + "friends only" users)
+//---------------------------------------------------------
+const assertCanDirectMessage = async (senderId, recipientId) => {
+  const recipient = await User.findById(recipientId).select("privacy");
+  if (!recipient) throw new ApiError(404, "User not found");
+
+  // a block in either direction closes the direct chat
+  await assertNotBlocked(senderId, recipientId);
+
+  if (
+    recipient.privacy?.directMessages === "friends" &&
+    !(await areFriends(recipientId, senderId))
+  ) {
+    throw new ApiError(403, "This user only accepts messages from friends");
+  }
+};
+
+//---------------------------------------------------------
+// GROUP POLICY: the same rules when someone adds people to a group
+//---------------------------------------------------------
+const assertCanAddToGroup = async (adderId, userIds) => {
+  const [blockedIds, friendsOnly] = await Promise.all([
+    getBlockedEitherWayIds(adderId),
+    User.exists({
+      _id: { $in: userIds },
+      "privacy.directMessages": "friends",
+      friends: { $ne: adderId },
+    }),
+  ]);
+
+  // one answer for both cases, so a block isn't given away
+  if (friendsOnly || userIds.some((id) => blockedIds.has(String(id)))) {
+    throw new ApiError(403, "You can't add one or more of these users");
+  }
+};
+
+export {
+  areFriends,
+  getRelationshipMap,
+  assertCanDirectMessage,
+  assertCanAddToGroup,
+};
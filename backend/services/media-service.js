@@ -0,0 +1,306 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import sharp from "sharp";
+import { fileTypeFromBuffer } from "file-type";
+import Attachment from "../models/Attachments.js";
+import ApiError from "../utils/api-error.js";
+import getStorage from "../storage/index.js";
+
+const MB = 1024 * 1024;
+
+// ------------------------------
+//  ALLOWED TYPES + SIZE LIMITS PER KIND
+// ------------------------------
+const MEDIA_RULES = {
+  image: {
+    maxSize: 10 * MB,
+    mimeTypes: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+  },
+  audio: {
+    maxSize: 16 * MB,
+    mimeTypes: [
+      "audio/mpeg",
+      "audio/mp4",
+      "audio/x-m4a",
+      "audio/aac",
+      "audio/wav",
+      "audio/ogg",
+      "audio/ogg; codecs=opus",
+      // no video/webm: a webm can't be told apart from a real video
+      // without parsing its tracks; voice notes are recorded as ogg/mp4
+    ],
+  },
+  file: {
+    maxSize: 25 * MB,
+    mimeTypes: [
+      "application/pdf",
+      "application/zip",
+      "application/x-cfb", // legacy .doc/.xls/.ppt
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+      "text/plain",
+    ],
+  },
+};
+
+// multer's hard cap: the biggest per-kind limit
+const MAX_UPLOAD_SIZE = Math.max(
+  ...Object.values(MEDIA_RULES).map((rule) => rule.maxSize),
+);
+
+const THUMBNAIL_SIZE = 320; // px, longest edge
+
+const AVATAR_MAX_SIZE = 5 * MB;
+const AVATAR_SIZE = 256; // px, square
+
+// Plain text has no magic bytes: accept it only if it really looks like text
+const looksLikeText = (buffer) =>
+  !buffer.subarray(0, 8192).includes(0) &&
+  Buffer.from(buffer.toString("utf8"), "utf8").equals(buffer);
+
+//---------------------------------------------------------
+// MIME SNIFFING (the client-sent mimetype is never trusted)
+//---------------------------------------------------------
+const sniffFile = async (buffer) => {
+  const detected = await fileTypeFromBuffer(buffer);
+  if (detected) return detected;
+  if (looksLikeText(buffer)) return { mime: "text/plain", ext: "txt" };
+  return null;
+};
+
+const kindForMime = (mime) =>
+  Object.keys(MEDIA_RULES).find((kind) =>
+    MEDIA_RULES[kind].mimeTypes.includes(mime),
+  ) ?? null;
+
+//---------------------------------------------------------
+// UPLOAD: sniff → validate → (thumbnail) → store → record
+//---------------------------------------------------------
+const storeUpload = async ({ file, uploaderId }) => {
+  if (!file?.buffer?.length) {
+    throw new ApiError(400, "No file uploaded");
+  }
+
+  const detected = await sniffFile(file.buffer);
+  const kind = detected ? kindForMime(detected.mime) : null;
+  if (!kind) {
+    throw new ApiError(415, "This file type is not supported");
+  }
+
+  const { maxSize } = MEDIA_RULES[kind];
+  if (file.size > maxSize) {
+    throw new ApiError(
+      413,
+      `${kind} uploads must be at most ${maxSize / MB} MB`,
+    );
+  }
+
+  // images: real dimensions + a small webp preview
+  let dimensions = {};
+  let thumbnailBuffer = null;
+  if (kind === "image") {
+    try {
+      const metadata = await sharp(file.buffer).metadata();
+      dimensions = { width: metadata.width, height: metadata.height };
+      thumbnailBuffer = await sharp(file.buffer)
+        .rotate() // respect EXIF orientation
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+        .webp({ quality: 70 })
+        .toBuffer();
+    } catch (error) {
+      throw new ApiError(422, "Image could not be processed");
+    }
+  }
+
+  const storage = getStorage();
+  const id = crypto.randomUUID();
+
+  const stored = await storage.save({
+    buffer: file.buffer,
+    key: `${kind}s/${id}.${detected.ext}`,
+    mimeType: detected.mime,
+    kind,
+  });
+
+  let thumbnail = null;
+  try {
+    if (thumbnailBuffer) {
+      thumbnail = await storage.save({
+        buffer: thumbnailBuffer,
+        key: `thumbnails/${id}.webp`,
+        mimeType: "image/webp",
+        kind: "image",
+      });
+    }
+
+    return await Attachment.create({
+      uploader: uploaderId,
+      kind,
+      driver: storage.driver,
+      file: stored,
+      thumbnail,
+      mimeType: detected.mime,
+      size: file.size,
+      originalName: file.originalname,
+      ...dimensions,
+    });
+  } catch (error) {
+    // don't leave orphaned objects behind
+    await storage.remove(stored).catch(() => {});
+    if (thumbnail) await storage.remove(thumbnail).catch(() => {});
+    throw error;
+  }
+};
+
+//---------------------------------------------------------
+// AVATAR: image only, cropped to a square webp
+//---------------------------------------------------------
+const storeAvatar = async ({ file }) => {
+  if (!file?.buffer?.length) {
+    throw new ApiError(400, "No file uploaded");
+  }
+
+  const detected = await sniffFile(file.buffer);
+  if (!detected || !MEDIA_RULES.image.mimeTypes.includes(detected.mime)) {
+    throw new ApiError(415, "Avatar must be a JPEG, PNG, GIF or WebP image");
+  }
+  if (file.size > AVATAR_MAX_SIZE) {
+    throw new ApiError(
+      413,
+      `Avatar must be at most ${AVATAR_MAX_SIZE / MB} MB`,
+    );
+  }
+
+  let buffer;
+  try {
+    buffer = await sharp(file.buffer)
+      .rotate()
+      .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: "cover" })
+      .webp({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    throw new ApiError(422, "Image could not be processed");
+  }
+
+  return getStorage().save({
+    buffer,
+    key: `avatars/${crypto.randomUUID()}.webp`,
+    mimeType: "image/webp",
+    kind: "image",
+  });
+};
+
+// Best effort: a stale object in storage must not fail the request
+const removeStoredFile = async (stored) => {
+  if (!stored?.key) return;
+  try {
+    await getStorage().remove(stored);
+  } catch (error) {
+    console.error("Stored file cleanup failed:", error);
+  }
+};
+
+//---------------------------------------------------------
+// DELETE AN UPLOAD THAT WAS NEVER SENT
+//---------------------------------------------------------
+const deleteUpload = async ({ attachmentId, uploaderId }) => {
+  if (!mongoose.isValidObjectId(attachmentId)) {
+    throw new ApiError(400, "Invalid attachment id");
+  }
+
+  const attachment = await Attachment.findOneAndDelete({
+    _id: attachmentId,
+    uploader: uploaderId,
+    message: null,
+  });
+  if (!attachment) {
+    throw new ApiError(404, "Attachment not found or already sent");
+  }
+
+  const storage = getStorage();
+  await storage.remove(attachment.file);
+  if (attachment.thumbnail) await storage.remove(attachment.thumbnail);
+};
+
+//---------------------------------------------------------
+// LINK AN UPLOAD TO A MESSAGE (one message per attachment)
+//---------------------------------------------------------
+const claimAttachment = async ({ attachmentId, uploaderId, messageId }) => {
+  if (!mongoose.isValidObjectId(attachmentId)) {
+    throw new ApiError(400, "Invalid attachment id");
+  }
+
+  // atomic: two sends racing for the same upload can't both win
+  const attachment = await Attachment.findOneAndUpdate(
+    { _id: attachmentId, uploader: uploaderId, message: null },
+    { $set: { message: messageId } },
+    { new: true },
+  );
+  if (!attachment) {
+    throw new ApiError(404, "Attachment not found or already sent");
+  }
+  return attachment;
+};
+
+const releaseAttachment = async (attachmentId) => {
+  await Attachment.updateOne(
+    { _id: attachmentId },
+    { $set: { message: null } },
+  );
+};
+
+//---------------------------------------------------------
+// DELETE THE ATTACHMENTS OF SOME MESSAGES (e.g. group deleted)
+//---------------------------------------------------------
+const removeMessageAttachments = async (messageIds) => {
+  const attachments = await Attachment.find({ message: { $in: messageIds } });
+  if (attachments.length === 0) return;
+
+  const storage = getStorage();
+  await Promise.all(
+    attachments.flatMap((attachment) =>
+      [attachment.file, attachment.thumbnail]
+        .filter(Boolean)
+        .map((stored) =>
+          storage
+            .remove(stored)
+            .catch((error) =>
+              console.error("Attachment cleanup failed:", error),
+            ),
+        ),
+    ),
+  );
+
+  await Attachment.deleteMany({ _id: { $in: attachments.map((a) => a._id) } });
+};
+
+// Uploads a user never sent (e.g. the account is being deleted)
+const removeUnsentUploads = async (uploaderId) => {
+  const uploads = await Attachment.find({
+    uploader: uploaderId,
+    message: null,
+  });
+
+  for (const upload of uploads) {
+    await removeStoredFile(upload.file);
+    if (upload.thumbnail) await removeStoredFile(upload.thumbnail);
+  }
+  await Attachment.deleteMany({ _id: { $in: uploads.map((u) => u._id) } });
+};
+
+export {
+  MEDIA_RULES,
+  MAX_UPLOAD_SIZE,
+  storeUpload,
+  storeAvatar,
+  removeStoredFile,
+  deleteUpload,
+  claimAttachment,
+  releaseAttachment,
+  removeMessageAttachments,
+  removeUnsentUploads,
+};
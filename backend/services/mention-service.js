@@ -0,0 +1,111 @@
+import User from "../models/Users.js";
+import Conversation from "../models/Conversations.js";
+import ApiError from "../utils/api-error.js";
+
+const EVERYONE = "everyone";
+
+// An "@" only starts a mention at the start or after a non-word character
+// (so e-mail addresses aren't mentions); the name must end the same way
+const isBoundary = (char) => char === undefined || !/[\p{L}\p{N}_]/u.test(char);
+
+//---------------------------------------------------------
+// PARSE: @username of a member, or @everyone (group admins only)
+//---------------------------------------------------------
+// → { mentions: [{ user, offset, length }], mentionsEveryone }
+const parseMentions = async ({ conversation, senderId, content }) => {
+  if (conversation.type !== "group" || !content?.includes("@")) {
+    return { mentions: [], mentionsEveryone: false };
+  }
+
+  const members = await User.find({
+    _id: { $in: conversation.members.map((m) => m.user?._id ?? m.user) },
+  }).select("username");
+
+  // usernames may contain spaces: the longest name that fits wins,
+  // and @everyone wins over a member called "everyone"
+  const candidates = [
+    { name: EVERYONE, user: null },
+    ...members.map((member) => ({ name: member.username, user: member._id })),
+  ]
+    .map((candidate) => ({ ...candidate, lower: candidate.name.toLowerCase() }))
+    .sort((a, b) => b.name.length - a.name.length);
+
+  const mentions = [];
+  for (
+    let at = content.indexOf("@");
+    at !== -1;
+    at = content.indexOf("@", at + 1)
+  ) {
+    if (!isBoundary(content[at - 1])) continue;
+
+    // case-insensitive, like user search; offsets stay in the original text
+    const fits = candidates.filter(
+      ({ name, lower }) =>
+        content.slice(at + 1, at + 1 + name.length).toLowerCase() === lower &&
+        isBoundary(content[at + 1 + name.length]),
+    );
+    if (fits.length === 0) continue;
+
+    // among equally long names: @everyone, then the exact spelling
+    const longest = fits.filter(
+      ({ name }) => name.length === fits[0].name.length,
+    );
+    const match =
+      longest.find(({ user }) => user === null) ??
+      longest.find(({ name }) => content.startsWith(name, at + 1)) ??
+      longest[0];
+
+    mentions.push({
+      user: match.user,
+      offset: at,
+      length: match.name.length + 1,
+    });
+    at += match.name.length;
+  }
+
+  const mentionsEveryone = mentions.some((mention) => mention.user === null);
+  if (mentionsEveryone && !conversation.hasRole(senderId, "admin")) {
+    throw new ApiError(403, "Only group admins can mention @everyone");
+  }
+
+  return { mentions, mentionsEveryone };
+};
+
+// Members a message mentions, as id strings (@everyone → all of them)
+const mentionedUserIds = (conversation, message) => {
+  if (message.mentionsEveryone) {
+    return new Set(
+      conversation.members.map((m) => String(m.user?._id ?? m.user)),
+    );
+  }
+  return new Set(
+    (message.mentions ?? [])
+      .filter((mention) => mention.user)
+      .map((mention) => String(mention.user)),
+  );
+};
+
+//---------------------------------------------------------
+// "MESSAGES MENTIONING ME" (filter for the paginated history query)
+//---------------------------------------------------------
+const mentionsOfUserFilter = async (userId) => {
+  const conversations = await Conversation.find({ "members.user": userId })
+    .select("_id type")
+    .lean();
+  const groupIds = conversations
+    .filter((conversation) => conversation.type === "group")
+    .map((conversation) => conversation._id);
+
+  return {
+    conversation: { $in: conversations.map((c) => c._id) },
+    $or: [
+      { "mentions.user": userId },
+      { mentionsEveryone: true, conversation: { $in: groupIds } },
+    ],
+    sender: { $ne: userId },
+    deletedAt: null,
+    hiddenFor: { $ne: userId },
+  };
+};
+
+export { parseMentions, mentionedUserIds, mentionsOfUserFilter };
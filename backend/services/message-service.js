@@ -0,0 +1,511 @@
+import mongoose from "mongoose";
+import Conversation from "../models/Conversations.js";
+import Message from "../models/Messages.js";
+import Notification from "../models/Notifications.js";
+import ApiError from "../utils/api-error.js";
+import { emitToConversation, emitToUser } from "../socket/socket-emitter.js";
+import {
+  SENDER_FIELDS,
+  MESSAGE_POPULATE,
+  getConversationForMember,
+  notifyRecipients,
+} from "./chat-service.js";
+import { parseMentions, mentionedUserIds } from "./mention-service.js";
+import { removeMessageAttachments } from "./media-service.js";
+
+// How long after sending a message can still be edited (MESSAGE_EDIT_WINDOW_MINUTES)
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+
+const DELETE_SCOPES = ["me", "everyone"];
+
+// Different emoji one message can collect
+const MAX_REACTION_KINDS = 20;
+
+const MAX_PINNED_MESSAGES = 50;
+
+// Emoji only: pictographs, flags, keycaps and their modifiers / joiners
+const EMOJI_PATTERN =
+  /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}\u20e3])[\p{Extended_Pictographic}\p{Emoji_Component}]+$/u;
+const MAX_EMOJI_LENGTH = 32;
+
+// read lazily, dotenv runs after the imports
+const editWindowMs = () =>
+  (Number(process.env.MESSAGE_EDIT_WINDOW_MINUTES) ||
+    DEFAULT_EDIT_WINDOW_MINUTES) *
+  60 *
+  1000;
+
+// Group admins and the owner moderate; direct chats have no moderators
+const isModerator = (conversation, userId) =>
+  conversation.type === "group" && conversation.hasRole(userId, "admin");
+
+// In a direct chat both people can pin, in a group only moderators
+const canPin = (conversation, userId) =>
+  conversation.type === "direct" || isModerator(conversation, userId);
+
+//---------------------------------------------------------
+// LOAD A MESSAGE OF A CONVERSATION THE USER BELONGS TO
+//---------------------------------------------------------
+const getMessageForMember = async (conversationId, messageId, userId) => {
+  const conversation = await getConversationForMember(conversationId, userId);
+
+  // socket payloads skip express-validator, so guard the cast here
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw new ApiError(400, "Invalid message id");
+  }
+
+  const message = await Message.findOne({
+    _id: messageId,
+    conversation: conversation._id,
+  });
+
+  if (!message) {
+    throw new ApiError(404, "Message not found in this conversation");
+  }
+
+  return { conversation, message };
+};
+
+//---------------------------------------------------------
+// EDIT: the sender, within the edit window; the old text goes to the history
+//---------------------------------------------------------
+const editMessage = async ({ conversationId, messageId, userId, content }) => {
+  const text = typeof content === "string" ? content.trim() : "";
+  if (text.length > 5000) {
+    throw new ApiError(422, "Message must be between 1 and 5000 characters");
+  }
+
+  const { conversation, message } = await getMessageForMember(
+    conversationId,
+    messageId,
+    userId,
+  );
+
+  if (message.type === "system") {
+    throw new ApiError(400, "System messages can't be edited");
+  }
+  if (String(message.sender) !== String(userId)) {
+    throw new ApiError(403, "You can only edit your own messages");
+  }
+  if (message.deletedAt) {
+    throw new ApiError(410, "This message was deleted");
+  }
+  // an attachment keeps the message meaningful without a caption
+  if (!text && !message.attachment) {
+    throw new ApiError(422, "Message must be between 1 and 5000 characters");
+  }
+  if (Date.now() - message.createdAt.getTime() > editWindowMs()) {
+    const error = new ApiError(403, "This message can no longer be edited");
+    error.code = "EDIT_WINDOW_CLOSED";
+    throw error;
+  }
+
+  if (text === message.content) return message.populate(MESSAGE_POPULATE);
+
+  const { mentions, mentionsEveryone } = await parseMentions({
+    conversation,
+    senderId: userId,
+    content: text,
+  });
+
+  // matching on the current text keeps two quick edits from losing a version
+  const editedAt = new Date();
+  const edited = await Message.findOneAndUpdate(
+    { _id: message._id, content: message.content, deletedAt: null },
+    {
+      $set: { content: text, editedAt, mentions, mentionsEveryone },
+      $push: { editHistory: { content: message.content, editedAt } },
+    },
+    { new: true },
+  ).populate(MESSAGE_POPULATE);
+
+  if (!edited) {
+    throw new ApiError(409, "The message was changed meanwhile, try again");
+  }
+
+  emitToConversation(conversation._id, "message_edited", edited);
+
+  // only people the edit newly mentions are notified
+  const alreadyMentioned = mentionedUserIds(conversation, message);
+  const newlyMentioned = new Set(
+    [...mentionedUserIds(conversation, edited)].filter(
+      (id) => !alreadyMentioned.has(id),
+    ),
+  );
+  if (newlyMentioned.size > 0) {
+    await notifyRecipients(conversation, edited, { only: newlyMentioned });
+  }
+
+  return edited;
+};
+
+//---------------------------------------------------------
+// DELETE "FOR ME" (hidden from my history) OR "FOR EVERYONE" (tombstone)
+//---------------------------------------------------------
+const hideMessageForUser = async (conversation, message, userId) => {
+  await Message.updateOne(
+    { _id: message._id },
+    { $addToSet: { hiddenFor: userId } },
+  );
+
+  const payload = {
+    conversationId: conversation._id,
+    messageId: message._id,
+    scope: "me",
+  };
+  // only my other devices need to know
+  emitToUser(userId, "message_deleted", payload);
+
+  return payload;
+};
+
+const deleteMessageForEveryone = async (conversation, message, userId) => {
+  if (message.type === "system") {
+    throw new ApiError(400, "System messages can't be deleted for everyone");
+  }
+  if (
+    String(message.sender) !== String(userId) &&
+    !isModerator(conversation, userId)
+  ) {
+    throw new ApiError(
+      403,
+      "You can only delete your own messages for everyone",
+    );
+  }
+
+  // members only see a tombstone; the last text joins the edit history,
+  // which stays for moderators (matching on it, like edits do)
+  const deletedAt = new Date();
+  const tombstone = await Message.findOneAndUpdate(
+    { _id: message._id, content: message.content, deletedAt: null },
+    {
+      $set: {
+        content: "",
+        attachment: null,
+        reactions: [],
+        mentions: [],
+        mentionsEveryone: false,
+        pinnedAt: null,
+        pinnedBy: null,
+        deletedAt,
+        deletedBy: userId,
+      },
+      ...(message.content && {
+        $push: {
+          editHistory: { content: message.content, editedAt: deletedAt },
+        },
+      }),
+    },
+    { new: true },
+  ).populate(MESSAGE_POPULATE);
+
+  if (!tombstone) {
+    if (await Message.exists({ _id: message._id, deletedAt: null })) {
+      throw new ApiError(409, "The message was changed meanwhile, try again");
+    }
+    throw new ApiError(410, "This message was already deleted");
+  }
+
+  if (message.attachment) await removeMessageAttachments([message._id]);
+  // mentions in it shouldn't outlive it
+  await Notification.deleteMany({ message: message._id });
+
+  // a tombstone is nothing to read: members who hadn't read it get it
+  // taken off their unread counter
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $inc: { "members.$[unread].unreadCount": -1 } },
+    {
+      arrayFilters: [
+        {
+          $and: [
+            {
+              "unread.user": { $ne: message.sender },
+              "unread.unreadCount": { $gt: 0 },
+            },
+            {
+              $or: [
+                { "unread.lastReadMessage": null },
+                { "unread.lastReadMessage": { $lt: message._id } },
+              ],
+            },
+          ],
+        },
+      ],
+    },
+  );
+
+  const payload = {
+    conversationId: conversation._id,
+    messageId: message._id,
+    scope: "everyone",
+    message: tombstone,
+  };
+  emitToConversation(conversation._id, "message_deleted", payload);
+
+  return payload;
+};
+
+const deleteMessage = async ({
+  conversationId,
+  messageId,
+  userId,
+  scope = "me",
+}) => {
+  if (!DELETE_SCOPES.includes(scope)) {
+    throw new ApiError(422, "scope must be me or everyone");
+  }
+
+  const { conversation, message } = await getMessageForMember(
+    conversationId,
+    messageId,
+    userId,
+  );
+
+  return scope === "everyone"
+    ? deleteMessageForEveryone(conversation, message, userId)
+    : hideMessageForUser(conversation, message, userId);
+};
+
+//---------------------------------------------------------
+// EDIT HISTORY (group moderators only)
+//---------------------------------------------------------
+const getEditHistory = async ({ conversationId, messageId, userId }) => {
+  const conversation = await getConversationForMember(conversationId, userId);
+
+  if (!isModerator(conversation, userId)) {
+    throw new ApiError(403, "Only group admins can see the edit history");
+  }
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw new ApiError(400, "Invalid message id");
+  }
+
+  const message = await Message.findOne({
+    _id: messageId,
+    conversation: conversation._id,
+  }).select("content editedAt deletedAt editHistory");
+
+  if (!message) {
+    throw new ApiError(404, "Message not found in this conversation");
+  }
+
+  return {
+    messageId: message._id,
+    content: message.content,
+    editedAt: message.editedAt,
+    deletedAt: message.deletedAt,
+    history: message.editHistory,
+  };
+};
+
+//---------------------------------------------------------
+// THREAD ROOT (its replies are paginated by the controller)
+//---------------------------------------------------------
+const getThreadRoot = async ({ conversationId, messageId, userId }) => {
+  const { conversation, message } = await getMessageForMember(
+    conversationId,
+    messageId,
+    userId,
+  );
+
+  if (message.threadRoot) {
+    throw new ApiError(400, "This message is a reply inside a thread");
+  }
+
+  return { conversation, root: await message.populate(MESSAGE_POPULATE) };
+};
+
+//---------------------------------------------------------
+// REACTIONS: one per user and emoji, a second time takes it back
+//---------------------------------------------------------
+const addReaction = async (messageId, emoji, userId) => {
+  const joinExisting = () =>
+    Message.updateOne(
+      {
+        _id: messageId,
+        reactions: { $elemMatch: { emoji, users: { $ne: userId } } },
+      },
+      {
+        $addToSet: { "reactions.$.users": userId },
+        $inc: { "reactions.$.count": 1 },
+      },
+    );
+
+  if ((await joinExisting()).modifiedCount) return;
+
+  // first one with this emoji
+  const created = await Message.updateOne(
+    {
+      _id: messageId,
+      "reactions.emoji": { $ne: emoji },
+      [`reactions.${MAX_REACTION_KINDS - 1}`]: { $exists: false },
+    },
+    { $push: { reactions: { emoji, users: [userId], count: 1 } } },
+  );
+  if (created.modifiedCount) return;
+
+  // someone else created it meanwhile, or the message is full
+  if ((await joinExisting()).modifiedCount) return;
+  if (!(await Message.exists({ _id: messageId, "reactions.emoji": emoji }))) {
+    throw new ApiError(
+      409,
+      `A message can have at most ${MAX_REACTION_KINDS} different reactions`,
+    );
+  }
+};
+
+const removeReaction = async (messageId, emoji, userId) => {
+  const removed = await Message.updateOne(
+    { _id: messageId, reactions: { $elemMatch: { emoji, users: userId } } },
+    {
+      $pull: { "reactions.$.users": userId },
+      $inc: { "reactions.$.count": -1 },
+    },
+  );
+  if (!removed.modifiedCount) return false;
+
+  await Message.updateOne(
+    { _id: messageId },
+    { $pull: { reactions: { count: { $lte: 0 } } } },
+  );
+  return true;
+};
+
+const toggleReaction = async ({ conversationId, messageId, userId, emoji }) => {
+  const value = typeof emoji === "string" ? emoji.trim() : "";
+  if (value.length > MAX_EMOJI_LENGTH || !EMOJI_PATTERN.test(value)) {
+    throw new ApiError(422, "Reaction must be an emoji");
+  }
+
+  const { conversation, message } = await getMessageForMember(
+    conversationId,
+    messageId,
+    userId,
+  );
+
+  if (message.type === "system" || message.deletedAt) {
+    throw new ApiError(400, "You can't react to this message");
+  }
+
+  let action = "removed";
+  if (!(await removeReaction(message._id, value, userId))) {
+    await addReaction(message._id, value, userId);
+    action = "added";
+  }
+
+  const { reactions } = await Message.findById(message._id).select("reactions");
+
+  const payload = {
+    conversationId: conversation._id,
+    messageId: message._id,
+    userId,
+    emoji: value,
+    action,
+    reactions,
+  };
+  emitToConversation(conversation._id, "message_reaction", payload);
+
+  return payload;
+};
+
+//---------------------------------------------------------
+// PINS
+//---------------------------------------------------------
+const getPinnedMessages = async ({ conversationId, userId }) => {
+  const conversation = await getConversationForMember(conversationId, userId);
+
+  return Message.find({
+    conversation: conversation._id,
+    pinnedAt: { $type: "date" },
+  })
+    .sort({ pinnedAt: -1 })
+    .populate(MESSAGE_POPULATE)
+    .populate("pinnedBy", SENDER_FIELDS);
+};
+
+const pinMessage = async ({ conversationId, messageId, userId }) => {
+  const { conversation, message } = await getMessageForMember(
+    conversationId,
+    messageId,
+    userId,
+  );
+
+  if (!canPin(conversation, userId)) {
+    throw new ApiError(403, "Only group admins can pin messages");
+  }
+  if (message.deletedAt) {
+    throw new ApiError(410, "This message was deleted");
+  }
+  if (message.pinnedAt) {
+    throw new ApiError(409, "This message is already pinned");
+  }
+
+  const pinnedCount = await Message.countDocuments({
+    conversation: conversation._id,
+    pinnedAt: { $type: "date" },
+  });
+  if (pinnedCount >= MAX_PINNED_MESSAGES) {
+    throw new ApiError(
+      409,
+      `A conversation can have at most ${MAX_PINNED_MESSAGES} pinned messages`,
+    );
+  }
+
+  const pinned = await Message.findOneAndUpdate(
+    { _id: message._id, pinnedAt: null, deletedAt: null },
+    { $set: { pinnedAt: new Date(), pinnedBy: userId } },
+    { new: true },
+  )
+    .populate(MESSAGE_POPULATE)
+    .populate("pinnedBy", SENDER_FIELDS);
+
+  if (!pinned) {
+    throw new ApiError(409, "The message was changed meanwhile, try again");
+  }
+
+  emitToConversation(conversation._id, "message_pinned", {
+    conversationId: conversation._id,
+    message: pinned,
+  });
+
+  return pinned;
+};
+
+const unpinMessage = async ({ conversationId, messageId, userId }) => {
+  const { conversation, message } = await getMessageForMember(
+    conversationId,
+    messageId,
+    userId,
+  );
+
+  if (!canPin(conversation, userId)) {
+    throw new ApiError(403, "Only group admins can unpin messages");
+  }
+
+  const result = await Message.updateOne(
+    { _id: message._id, pinnedAt: { $type: "date" } },
+    { $set: { pinnedAt: null, pinnedBy: null } },
+  );
+  if (!result.modifiedCount) {
+    throw new ApiError(404, "This message is not pinned");
+  }
+
+  const payload = {
+    conversationId: conversation._id,
+    messageId: message._id,
+  };
+  emitToConversation(conversation._id, "message_unpinned", payload);
+
+  return payload;
+};
+
+export {
+  editMessage,
+  deleteMessage,
+  getEditHistory,
+  getThreadRoot,
+  toggleReaction,
+  getPinnedMessages,
+  pinMessage,
+  unpinMessage,
+};
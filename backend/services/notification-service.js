@@ -0,0 +1,328 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import User from "../models/Users.js";
+import Conversation from "../models/Conversations.js";
+import Notification from "../models/Notifications.js";
+import ApiError from "../utils/api-error.js";
+import { clientLink, serverLink } from "../utils/client-url.js";
+import { UnreadDigestMailGenContent } from "../utils/mailgen.js";
+import emailQueue from "../queues/email.queue.js";
+import { emitToUser } from "../socket/socket-emitter.js";
+import { getOnlineMap } from "./presence-service.js";
+
+// Fields of the actor exposed alongside every notification
+const ACTOR_FIELDS = "username avatar";
+
+// The preference that switches each notification type off
+const PREFERENCE_FOR_TYPE = {
+  mention: "mentions",
+  friend_request: "friendRequests",
+  friend_accepted: "friendRequests",
+};
+
+// Offline this long with unread messages → digest email
+// (NOTIFICATION_DIGEST_AFTER_MINUTES)
+const DEFAULT_DIGEST_AFTER_MINUTES = 60;
+// during a long absence, at most one digest per day
+const DIGEST_REPEAT_MS = 24 * 60 * 60 * 1000;
+// users handled per scheduled run; the rest wait for the next one
+const DIGEST_BATCH_SIZE = 200;
+// chats listed in one email
+const DIGEST_MAX_CHATS = 10;
+const DIGEST_PREVIEW_LENGTH = 80;
+
+// read lazily, dotenv runs after the imports
+const digestAfterMs = () =>
+  (Number(process.env.NOTIFICATION_DIGEST_AFTER_MINUTES) ||
+    DEFAULT_DIGEST_AFTER_MINUTES) *
+  60 *
+  1000;
+
+//---------------------------------------------------------
+// CREATE (skips users who turned that type off) + live push
+//---------------------------------------------------------
+// entries: [{ user, type, actor, conversation, message, preview }]
+const createNotifications = async (entries) => {
+  if (entries.length === 0) return [];
+
+  const recipients = await User.find({
+    _id: { $in: entries.map((entry) => entry.user) },
+  }).select("notificationPreferences");
+  const preferences = new Map(
+    recipients.map((recipient) => [
+      String(recipient._id),
+      recipient.notificationPreferences ?? {},
+    ]),
+  );
+
+  const notifications = await Notification.insertMany(
+    entries.filter((entry) => {
+      const prefs = preferences.get(String(entry.user));
+      return prefs && prefs[PREFERENCE_FOR_TYPE[entry.type]] !== false;
+    }),
+  );
+  await Notification.populate(notifications, {
+    path: "actor",
+    select: ACTOR_FIELDS,
+  });
+
+  notifications.forEach((notification) =>
+    emitToUser(notification.user, "notification", notification),
+  );
+  return notifications;
+};
+
+const createNotification = async (entry) =>
+  (await createNotifications([entry]))[0] ?? null;
+
+//---------------------------------------------------------
+// LIST / MARK READ
+//---------------------------------------------------------
+const listNotifications = async (userId, { cursor, limit, unread }) => {
+  // enforce limit max 50 for safety
+  limit = Math.min(parseInt(limit, 10) || 20, 50);
+
+  const filter = { user: userId };
+  if (unread === "true") filter.readAt = null;
+  if (cursor) {
+    if (!mongoose.isValidObjectId(cursor)) {
+      throw new ApiError(400, "Invalid cursor format");
+    }
+    filter._id = { $lt: cursor };
+  }
+
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit)
+      .populate("actor", ACTOR_FIELDS),
+    Notification.countDocuments({ user: userId, readAt: null }),
+  ]);
+
+  const hasMore = notifications.length === limit;
+  const nextCursor = hasMore
+    ? notifications[notifications.length - 1]._id
+    : null;
+
+  return { notifications, unreadCount, nextCursor, hasMore };
+};
+
+const markNotificationRead = async (userId, notificationId) => {
+  // already read keeps its first readAt
+  const notification =
+    (await Notification.findOneAndUpdate(
+      { _id: notificationId, user: userId, readAt: null },
+      { $set: { readAt: new Date() } },
+      { new: true },
+    )) ?? (await Notification.findOne({ _id: notificationId, user: userId }));
+  if (!notification) throw new ApiError(404, "Notification not found");
+
+  // the badge on my other devices
+  emitToUser(userId, "notifications_read", {
+    notificationIds: [notification._id],
+  });
+
+  return notification;
+};
+
+const markAllNotificationsRead = async (userId) => {
+  const result = await Notification.updateMany(
+    { user: userId, readAt: null },
+    { $set: { readAt: new Date() } },
+  );
+
+  emitToUser(userId, "notifications_read", { all: true });
+
+  return { updated: result.modifiedCount };
+};
+
+//---------------------------------------------------------
+// PREFERENCES
+//---------------------------------------------------------
+const getPreferences = async (userId) => {
+  const user = await User.findById(userId).select("notificationPreferences");
+  if (!user) throw new ApiError(404, "User not found");
+  return user.notificationPreferences;
+};
+
+// changes: any of { mentions, friendRequests, emailDigest } (booleans)
+const updatePreferences = async (userId, changes) => {
+  const $set = {};
+  for (const key of ["mentions", "friendRequests", "emailDigest"]) {
+    if (typeof changes[key] === "boolean") {
+      $set[`notificationPreferences.${key}`] = changes[key];
+    }
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set },
+    { new: true },
+  ).select("notificationPreferences");
+  if (!user) throw new ApiError(404, "User not found");
+
+  return user.notificationPreferences;
+};
+
+// The link in every digest; → false for an unknown token
+const unsubscribeFromDigest = async (token) => {
+  if (typeof token !== "string" || !token) return false;
+
+  const result = await User.updateOne(
+    { "digest.unsubscribeToken": token },
+    { $set: { "notificationPreferences.emailDigest": false } },
+  );
+  return result.matchedCount > 0;
+};
+
+//---------------------------------------------------------
+// DIGEST EMAILS (scheduled in workers/notification.worker.js)
+//---------------------------------------------------------
+const getUnsubscribeToken = async (userId) => {
+  const user = await User.findById(userId).select("+digest.unsubscribeToken");
+  if (user?.digest?.unsubscribeToken) return user.digest.unsubscribeToken;
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await User.updateOne(
+    { _id: userId },
+    { $set: { "digest.unsubscribeToken": token } },
+  );
+  return token;
+};
+
+const digestPreview = (message) => {
+  if (!message) return "";
+  if (message.deletedAt) return "Message deleted";
+
+  const sender = message.sender?.username ?? "Someone";
+  const text = message.content
+    ? message.content.slice(0, DIGEST_PREVIEW_LENGTH)
+    : `[${message.type}]`;
+  return `${sender}: ${text}`;
+};
+
+// Unmuted chats with something unread → [{ name, unread, latest }]
+const unreadChats = async (userId) => {
+  const conversations = await Conversation.find({
+    members: { $elemMatch: { user: userId, unreadCount: { $gt: 0 } } },
+  })
+    .sort({ lastMessageAt: -1 })
+    .populate("members.user", "username")
+    .populate({
+      path: "lastMessage",
+      select: "sender type content deletedAt",
+      populate: { path: "sender", select: "username" },
+    });
+
+  return conversations
+    .filter((conversation) => !conversation.isMutedFor(userId))
+    .map((conversation) => {
+      const other = conversation.members.find(
+        (member) => member.user && String(member.user._id) !== String(userId),
+      );
+      return {
+        name:
+          conversation.type === "group"
+            ? conversation.name
+            : (other?.user.username ?? "Direct chat"),
+        unread: conversation.getMember(userId).unreadCount,
+        latest: digestPreview(conversation.lastMessage),
+      };
+    });
+};
+
+// → true when an email was queued
+const sendDigest = async (user) => {
+  const [chats, mentionCount] = await Promise.all([
+    unreadChats(user._id),
+    user.notificationPreferences?.mentions === false
+      ? 0
+      : Notification.countDocuments({
+          user: user._id,
+          type: "mention",
+          readAt: null,
+          createdAt: { $gt: user.lastSeen },
+        }),
+  ]);
+  if (chats.length === 0 && mentionCount === 0) return false;
+
+  const token = await getUnsubscribeToken(user._id);
+  emailQueue.add("sendMail", {
+    email: user.email,
+    subject: "You have unread messages on BaatCheet",
+    mailGenContent: UnreadDigestMailGenContent(user.username, {
+      chats: chats.slice(0, DIGEST_MAX_CHATS),
+      mentionCount,
+      openLink: clientLink("/chats"),
+      unsubscribeLink: serverLink("/api/notifications/unsubscribe", {
+        token,
+      }),
+    }),
+  });
+  return true;
+};
+
+// One digest per offline stretch, then at most one a day
+const sendDigests = async () => {
+  const now = Date.now();
+
+  const candidates = await User.find({
+    isVerified: true,
+    // not the stored status: it stays "online" after a crash or restart
+    lastSeen: { $lte: new Date(now - digestAfterMs()) },
+    "notificationPreferences.emailDigest": { $ne: false },
+    $expr: {
+      $lt: [
+        { $ifNull: ["$digest.checkedAt", new Date(0)] },
+        { $max: ["$lastSeen", new Date(now - DIGEST_REPEAT_MS)] },
+      ],
+    },
+  })
+    .select("username email lastSeen notificationPreferences")
+    .limit(DIGEST_BATCH_SIZE);
+
+  // lastSeen only moves on disconnect: anyone connected right now is
+  // skipped using the live presence in Redis. They count as checked, or they
+  // would fill every batch for as long as they stay online; their next
+  // disconnect moves lastSeen past checkedAt and makes them due again.
+  const onlineMap = await getOnlineMap(candidates.map((user) => user._id));
+  const online = candidates.filter((user) => onlineMap.get(String(user._id)));
+  if (online.length > 0) {
+    await User.updateMany(
+      { _id: { $in: online.map((user) => user._id) } },
+      { $set: { "digest.checkedAt": new Date() } },
+    );
+  }
+
+  let sent = 0;
+  for (const user of candidates) {
+    if (onlineMap.get(String(user._id))) continue;
+
+    const checkedAt = new Date();
+    const emailed = await sendDigest(user);
+    if (emailed) sent += 1;
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "digest.checkedAt": checkedAt,
+          ...(emailed && { "digest.sentAt": checkedAt }),
+        },
+      },
+    );
+  }
+  return sent;
+};
+
+export {
+  createNotification,
+  createNotifications,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences,
+  unsubscribeFromDigest,
+  sendDigests,
+};
@@ -0,0 +1,260 @@
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import User from "../models/Users.js";
+import ApiError from "../utils/api-error.js";
+import { serverLink } from "../utils/client-url.js";
+import { redisClient } from "../redis/redisClient.js";
+import { getSession } from "./session-service.js";
+
+// The user has this long to finish logging in at the provider
+const STATE_TTL = 10 * 60; // 10 minutes
+
+// oauth:state:<state> → JSON { provider, mode, userId, sessionId, nonce, codeVerifier }
+const stateKey = (state) => `oauth:state:${state}`;
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+// The browser that starts a flow keeps this in a cookie; a callback URL
+// opened anywhere else (login CSRF, linking someone else's identity) fails
+const hashState = (state) =>
+  crypto.createHash("sha256").update(state).digest("base64url");
+
+const stateMatchesBrowser = (state, stateCookie) => {
+  if (typeof stateCookie !== "string") return false;
+  const expected = Buffer.from(hashState(state));
+  const presented = Buffer.from(stateCookie);
+  return (
+    expected.length === presented.length &&
+    crypto.timingSafeEqual(expected, presented)
+  );
+};
+
+// Where the provider sends the user back (must be registered with it)
+const callbackUrl = (providerName) =>
+  serverLink(`/api/auth/oauth/${providerName}/callback`);
+
+//---------------------------------------------------------
+// AUTHORIZATION REQUEST (PKCE + state + nonce)
+//---------------------------------------------------------
+// mode "login" → log in / sign up; mode "link" → attach to `userId`
+// (started from its login session `sessionId`)
+// → { authorizationUrl, stateCookie } — the cookie value binds the browser
+const beginAuthorization = async (
+  provider,
+  { mode = "login", userId, sessionId } = {},
+) => {
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = crypto
+    .createHash("sha256")
+    .update(codeVerifier)
+    .digest("base64url");
+
+  await redisClient.set(
+    stateKey(state),
+    JSON.stringify({
+      provider: provider.name,
+      mode,
+      userId: userId ? String(userId) : null,
+      sessionId: sessionId ?? null,
+      nonce,
+      codeVerifier,
+    }),
+    "EX",
+    STATE_TTL,
+  );
+
+  const authorizationUrl = provider.getAuthorizationUrl({
+    redirectUri: callbackUrl(provider.name),
+    state,
+    nonce,
+    codeChallenge,
+  });
+  return { authorizationUrl, stateCookie: hashState(state) };
+};
+
+//---------------------------------------------------------
+// CALLBACK: state is single-use, then the code becomes a profile
+//---------------------------------------------------------
+const completeAuthorization = async (
+  provider,
+  { code, state, stateCookie },
+) => {
+  if (typeof state !== "string" || !stateMatchesBrowser(state, stateCookie)) {
+    throw new ApiError(
+      400,
+      "This login was started in another browser, please try again",
+    );
+  }
+
+  const stored = await redisClient.getdel(stateKey(state));
+  const request = stored ? JSON.parse(stored) : null;
+  if (!request || request.provider !== provider.name) {
+    throw new ApiError(400, "Login request expired, please try again");
+  }
+  if (!code) throw new ApiError(400, "Authorization code missing");
+
+  // link mode: the session that asked for it must still be signed in
+  if (request.mode === "link") {
+    const session = await getSession(request.sessionId);
+    if (!session || session.userId !== request.userId) {
+      throw new ApiError(403, "Log in again to link this account");
+    }
+  }
+
+  let profile;
+  try {
+    profile = await provider.exchangeCode({
+      code,
+      redirectUri: callbackUrl(provider.name),
+      codeVerifier: request.codeVerifier,
+      nonce: provider.usesNonce ? request.nonce : undefined,
+    });
+  } catch (error) {
+    console.error(`OAuth callback for "${provider.name}" failed:`, error);
+    throw new ApiError(502, `Could not sign in with ${provider.label}`);
+  }
+
+  return { request, profile };
+};
+
+//---------------------------------------------------------
+// ACCOUNTS
+//---------------------------------------------------------
+const identityFilter = (provider, subject) => ({
+  oauthAccounts: { $elemMatch: { provider, subject } },
+});
+
+// Free username from the provider's display name / email
+const uniqueUsername = async ({ name, email }) => {
+  const base =
+    (name || email?.split("@")[0] || "")
+      .replace(/[^a-zA-Z0-9_.]/g, "")
+      .slice(0, 24) || "user";
+  const candidates = [
+    base.padEnd(3, "0"),
+    ...Array.from(
+      { length: 5 },
+      () => `${base}${crypto.randomInt(1000, 10000)}`,
+    ),
+  ];
+
+  for (const username of candidates) {
+    if (!(await User.exists({ username }))) return username;
+  }
+  return `user${crypto.randomUUID().replace(/-/g, "").slice(0, 12)}`;
+};
+
+// Login mode: linked identity → that user; verified email of an existing
+// verified account → link and log in; otherwise a new verified account
+const findOrCreateUser = async (provider, profile) => {
+  const linked = await User.findOne(
+    identityFilter(provider.name, profile.subject),
+  );
+  if (linked) return linked;
+
+  if (!profile.email || !profile.emailVerified) {
+    throw new ApiError(
+      403,
+      `Your ${provider.label} email address is not verified`,
+    );
+  }
+
+  const account = {
+    provider: provider.name,
+    subject: profile.subject,
+    email: profile.email,
+  };
+
+  const existing = await User.findOne({ email: profile.email });
+  if (existing) {
+    // an unverified signup proves nothing about who owns the address
+    if (!existing.isVerified) {
+      throw new ApiError(
+        409,
+        "An unverified account uses this email. Verify it or reset its password first",
+      );
+    }
+    await linkAccount(existing._id, account);
+    return existing;
+  }
+
+  // random password nobody knows; a real one can be set via forgot password
+  const password = await bcrypt.hash(randomToken(), 10);
+  try {
+    return await User.create({
+      username: await uniqueUsername(profile),
+      email: profile.email,
+      password,
+      hasPassword: false,
+      isVerified: true,
+      avatar: profile.picture || "",
+      oauthAccounts: [account],
+    });
+  } catch (error) {
+    // two callbacks racing for the same identity / email
+    if (error?.code === 11000) {
+      throw new ApiError(409, "Account already exists, please try again");
+    }
+    throw error;
+  }
+};
+
+// One identity per provider per user, one user per identity
+const linkAccount = async (userId, { provider, subject, email }) => {
+  try {
+    const result = await User.updateOne(
+      { _id: userId, "oauthAccounts.provider": { $ne: provider } },
+      {
+        $push: {
+          oauthAccounts: { provider, subject, email, linkedAt: new Date() },
+        },
+      },
+    );
+    if (result.matchedCount === 0) {
+      const user = await User.findById(userId).select("oauthAccounts");
+      const current = user?.oauthAccounts.find((a) => a.provider === provider);
+      // linking the same identity twice is a no-op
+      if (current?.subject === subject) return;
+      throw new ApiError(409, `Another ${provider} account is already linked`);
+    }
+  } catch (error) {
+    if (error?.code === 11000) {
+      throw new ApiError(
+        409,
+        "This account is already linked to another BaatCheet user",
+      );
+    }
+    throw error;
+  }
+};
+
+// The last way to log in can't be removed
+const unlinkAccount = async (userId, provider) => {
+  const user = await User.findById(userId).select("hasPassword oauthAccounts");
+  if (!user) throw new ApiError(404, "User not found");
+
+  if (!user.oauthAccounts.some((a) => a.provider === provider)) {
+    throw new ApiError(404, "This provider is not linked");
+  }
+  if (!user.hasPassword && user.oauthAccounts.length === 1) {
+    throw new ApiError(
+      400,
+      "Set a password before unlinking your only login method",
+    );
+  }
+
+  await User.updateOne(
+    { _id: userId },
+    { $pull: { oauthAccounts: { provider } } },
+  );
+};
+
+export {
+  beginAuthorization,
+  completeAuthorization,
+  findOrCreateUser,
+  linkAccount,
+  unlinkAccount,
+};
@@ -0,0 +1,106 @@
+import User from "../models/Users.js";
+import { redisClient } from "../redis/redisClient.js";
+import { emitToContacts } from "./contact-service.js";
+
+// Safety net: if the server dies without running disconnect handlers,
+// the socket set of a user expires instead of keeping them "online" forever
+const PRESENCE_TTL = 24 * 60 * 60; // 1 day
+
+// presence:<userId> → SET of connected socket ids (one per device/tab)
+const presenceKey = (userId) => `presence:${userId}`;
+
+//---------------------------------------------------------
+// CONNECTION TRACKING
+//---------------------------------------------------------
+
+// Returns true when this connection brought the user online
+const addConnection = async (userId, socketId) => {
+  const key = presenceKey(userId);
+  const [[, added], [, count]] = await redisClient
+    .multi()
+    .sadd(key, socketId)
+    .scard(key)
+    .expire(key, PRESENCE_TTL)
+    .exec();
+
+  return added === 1 && count === 1;
+};
+
+// Returns true when this was the user's last connection
+const removeConnection = async (userId, socketId) => {
+  const key = presenceKey(userId);
+  const [[, removed], [, count]] = await redisClient
+    .multi()
+    .srem(key, socketId)
+    .scard(key)
+    .exec();
+
+  return removed === 1 && count === 0;
+};
+
+//---------------------------------------------------------
+// LIVE PRESENCE LOOKUPS
+//---------------------------------------------------------
+const isOnline = async (userId) => {
+  return (await redisClient.scard(presenceKey(userId))) > 0;
+};
+
+// Map of userId → boolean, one round trip for the whole list
+const getOnlineMap = async (userIds) => {
+  const ids = [...new Set(userIds.map(String))];
+  if (ids.length === 0) return new Map();
+
+  const pipeline = redisClient.pipeline();
+  ids.forEach((id) => pipeline.scard(presenceKey(id)));
+  const results = await pipeline.exec();
+
+  return new Map(ids.map((id, i) => [id, results[i][1] > 0]));
+};
+
+// Replace the stored `status` of user docs/objects with the live one
+const withLivePresence = async (users) => {
+  const onlineMap = await getOnlineMap(users.map((user) => user._id));
+
+  return users.map((user) => {
+    const plain = typeof user.toObject === "function" ? user.toObject() : user;
+    return {
+      ...plain,
+      status: onlineMap.get(String(plain._id)) ? "online" : "offline",
+    };
+  });
+};
+
+//---------------------------------------------------------
+// BROADCAST TO CONTACTS
+//---------------------------------------------------------
+const broadcastPresence = (userId, status, lastSeen) =>
+  emitToContacts(userId, "presence_changed", { userId, status, lastSeen });
+
+//---------------------------------------------------------
+// SOCKET LIFECYCLE HOOKS
+//---------------------------------------------------------
+const markConnected = async (userId, socketId) => {
+  const cameOnline = await addConnection(userId, socketId);
+  if (!cameOnline) return;
+
+  await User.findByIdAndUpdate(userId, { status: "online" });
+  await broadcastPresence(userId, "online", null);
+};
+
+const markDisconnected = async (userId, socketId) => {
+  const wentOffline = await removeConnection(userId, socketId);
+  if (!wentOffline) return;
+
+  // lastSeen is only written when the last device drops
+  const lastSeen = new Date();
+  await User.findByIdAndUpdate(userId, { status: "offline", lastSeen });
+  await broadcastPresence(userId, "offline", lastSeen);
+};
+
+export {
+  isOnline,
+  getOnlineMap,
+  withLivePresence,
+  markConnected,
+  markDisconnected,
+};
@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+import Conversation from "../models/Conversations.js";
+import Message from "../models/Messages.js";
+import ApiError from "../utils/api-error.js";
+import { emitToConversation } from "../socket/socket-emitter.js";
+import { getConversationForMember } from "./chat-service.js";
+
+//---------------------------------------------------------
+// MARK A CONVERSATION READ UP TO A MESSAGE (REST + socket)
+//---------------------------------------------------------
+const markConversationRead = async ({ conversationId, userId, messageId }) => {
+  const conversation = await getConversationForMember(conversationId, userId);
+
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw new ApiError(400, "Invalid message id");
+  }
+
+  const message = await Message.findOne({
+    _id: messageId,
+    conversation: conversation._id,
+  }).select("_id createdAt");
+
+  if (!message) {
+    throw new ApiError(404, "Message not found in this conversation");
+  }
+
+  // read positions only move forward
+  const member = conversation.getMember(userId);
+  if (
+    member.lastReadMessage &&
+    String(member.lastReadMessage) >= String(message._id)
+  ) {
+    return {
+      conversationId: conversation._id,
+      lastReadMessage: member.lastReadMessage,
+      unreadCount: member.unreadCount,
+    };
+  }
+
+  const readAt = new Date();
+
+  // only what arrived after the read position can still be unread,
+  // so this counts a handful of messages instead of the whole history
+  const unreadCount = await Message.countDocuments({
+    conversation: conversation._id,
+    _id: { $gt: message._id },
+    sender: { $ne: userId },
+    type: { $ne: "system" },
+    deletedAt: null,
+  });
+
+  await Conversation.updateOne(
+    { _id: conversation._id, "members.user": userId },
+    {
+      $set: {
+        "members.$.lastReadMessage": message._id,
+        "members.$.lastReadAt": readAt,
+        "members.$.unreadCount": unreadCount,
+      },
+    },
+  );
+
+  // flip this user's receipts on everything up to the message
+  await Message.updateMany(
+    {
+      conversation: conversation._id,
+      _id: { $lte: message._id },
+      deliveries: { $elemMatch: { user: userId, status: { $ne: "read" } } },
+    },
+    {
+      $set: {
+        "deliveries.$[me].status": "read",
+        "deliveries.$[me].readAt": readAt,
+      },
+    },
+    { arrayFilters: [{ "me.user": userId, "me.status": { $ne: "read" } }] },
+  );
+
+  emitToConversation(conversation._id, "messages_read", {
+    conversationId: conversation._id,
+    userId,
+    messageId: message._id,
+    readAt,
+  });
+
+  return {
+    conversationId: conversation._id,
+    lastReadMessage: message._id,
+    unreadCount,
+  };
+};
+
+//---------------------------------------------------------
+// MARK EVERYTHING PENDING AS DELIVERED (a device came online)
+//---------------------------------------------------------
+const markPendingDelivered = async (userId) => {
+  const pending = {
+    deliveries: { $elemMatch: { user: userId, status: "sent" } },
+  };
+
+  const conversationIds = await Message.distinct("conversation", pending);
+  if (conversationIds.length === 0) return;
+
+  const deliveredAt = new Date();
+
+  await Message.updateMany(
+    pending,
+    {
+      $set: {
+        "deliveries.$[me].status": "delivered",
+        "deliveries.$[me].deliveredAt": deliveredAt,
+      },
+    },
+    { arrayFilters: [{ "me.user": userId, "me.status": "sent" }] },
+  );
+
+  // senders only need to know "everything up to now reached this user"
+  conversationIds.forEach((conversationId) =>
+    emitToConversation(conversationId, "messages_delivered", {
+      conversationId,
+      userId,
+      deliveredAt,
+    }),
+  );
+};
+
+export { markConversationRead, markPendingDelivered };
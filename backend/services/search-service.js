@@ -0,0 +1,202 @@
+import mongoose from "mongoose";
+import User from "../models/Users.js";
+import Conversation from "../models/Conversations.js";
+import Message from "../models/Messages.js";
+import ApiError from "../utils/api-error.js";
+import { MESSAGE_POPULATE, getConversationForMember } from "./chat-service.js";
+
+// Message types a search can be narrowed to (system messages are never found)
+const SEARCHABLE_TYPES = ["text", "image", "file", "audio"];
+
+// Characters of context kept on each side of the first match
+const SNIPPET_CONTEXT = 60;
+
+// Fields of the conversation shown next to each search result
+const RESULT_CONVERSATION_FIELDS = "type name image";
+
+// User input is always matched literally
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+//---------------------------------------------------------
+// USER SEARCH: username prefix (indexed) or an exact email
+//---------------------------------------------------------
+const userSearchFilter = (search) => {
+  const term = search.trim().toLowerCase();
+  return {
+    $or: [
+      // anchored and case-sensitive on the lowercased copy → index range scan
+      { usernameLower: { $regex: `^${escapeRegex(term)}` } },
+      // emails only match in full, so they can't be guessed letter by letter
+      { email: term },
+    ],
+  };
+};
+
+// Accounts saved before usernameLower existed (run once at startup)
+const backfillUsernameSearchKeys = async () => {
+  const result = await User.updateMany({ usernameLower: { $exists: false } }, [
+    { $set: { usernameLower: { $toLower: "$username" } } },
+  ]);
+  return result.modifiedCount;
+};
+
+//---------------------------------------------------------
+// SNIPPETS: the text around the first match + where the matches are
+//---------------------------------------------------------
+// Words to highlight: phrases are split, excluded (-word) terms dropped
+const highlightTerms = (search) =>
+  search
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"));
+
+const buildSnippet = (content, terms) => {
+  const matches = terms.length
+    ? [
+        ...content.matchAll(
+          // whole words, like the text index matches them
+          new RegExp(
+            `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join("|")})(?![\\p{L}\\p{N}])`,
+            "giu",
+          ),
+        ),
+      ]
+    : [];
+
+  const first = matches[0];
+  const anchor = first?.index ?? 0;
+  const start = Math.max(0, anchor - SNIPPET_CONTEXT);
+  const end = Math.min(
+    content.length,
+    anchor + (first?.[0].length ?? 0) + SNIPPET_CONTEXT,
+  );
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < content.length ? "…" : "";
+
+  return {
+    text: `${prefix}${content.slice(start, end)}${suffix}`,
+    // offsets into text; clients wrap them, no markup comes from the server
+    highlights: matches
+      .filter((match) => match.index >= start && match.index < end)
+      .map((match) => ({
+        start: match.index - start + prefix.length,
+        length: Math.min(match[0].length, end - match.index),
+      })),
+  };
+};
+
+//---------------------------------------------------------
+// RANKED CURSOR: a page ends at (score, _id)
+//---------------------------------------------------------
+const encodeCursor = ({ score, _id }) =>
+  Buffer.from(JSON.stringify({ score, id: String(_id) })).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { score, id } = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString(),
+    );
+    if (typeof score === "number" && mongoose.isValidObjectId(id)) {
+      return { score, _id: toObjectId(id) };
+    }
+  } catch (err) {
+    // falls through to the error below
+  }
+  throw new ApiError(400, "Invalid cursor format");
+};
+
+//---------------------------------------------------------
+// MESSAGE SEARCH (only conversations the user belongs to)
+//---------------------------------------------------------
+const searchMessages = async ({
+  userId,
+  q,
+  conversationId,
+  senderId,
+  from,
+  to,
+  type,
+  cursor,
+  limit,
+}) => {
+  const search = typeof q === "string" ? q.trim() : "";
+  if (!search) throw new ApiError(422, "Search text is required");
+  if (type && !SEARCHABLE_TYPES.includes(type)) {
+    throw new ApiError(422, `type must be one of ${SEARCHABLE_TYPES}`);
+  }
+
+  // enforce limit max 50 for safety
+  limit = Math.min(parseInt(limit, 10) || 20, 50);
+
+  const conversationIds = conversationId
+    ? [(await getConversationForMember(conversationId, userId))._id]
+    : await Conversation.find({ "members.user": userId }).distinct("_id");
+
+  // aggregate() does not cast, so ids and dates are converted here
+  const match = {
+    $text: { $search: search },
+    conversation: { $in: conversationIds },
+    type: type ?? { $ne: "system" },
+    deletedAt: null,
+    hiddenFor: { $ne: toObjectId(userId) },
+  };
+  if (senderId) match.sender = toObjectId(senderId);
+  if (from || to) {
+    match.createdAt = {
+      ...(from && { $gte: new Date(from) }),
+      ...(to && { $lte: new Date(to) }),
+    };
+  }
+
+  const pipeline = [
+    { $match: match },
+    { $addFields: { score: { $meta: "textScore" } } },
+  ];
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    pipeline.push({
+      $match: {
+        $or: [
+          { score: { $lt: after.score } },
+          { score: after.score, _id: { $lt: after._id } },
+        ],
+      },
+    });
+  }
+  pipeline.push(
+    { $sort: { score: -1, _id: -1 } },
+    { $limit: limit },
+    { $project: { score: 1 } },
+  );
+
+  const hits = await Message.aggregate(pipeline);
+
+  const messages = await Message.find({ _id: { $in: hits.map((h) => h._id) } })
+    .populate(MESSAGE_POPULATE)
+    .populate("conversation", RESULT_CONVERSATION_FIELDS);
+  const byId = new Map(
+    messages.map((message) => [String(message._id), message]),
+  );
+
+  const terms = highlightTerms(search);
+  const results = hits
+    .filter((hit) => byId.has(String(hit._id)))
+    .map((hit) => {
+      const message = byId.get(String(hit._id));
+      return {
+        message,
+        score: hit.score,
+        snippet: buildSnippet(message.content, terms),
+      };
+    });
+
+  const hasMore = hits.length === limit;
+  const nextCursor = hasMore ? encodeCursor(hits[hits.length - 1]) : null;
+
+  return { results, nextCursor, hasMore };
+};
+
+export { userSearchFilter, backfillUsernameSearchKeys, searchMessages };
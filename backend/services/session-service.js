@@ -0,0 +1,218 @@
+import crypto from "crypto";
+import { redisClient } from "../redis/redisClient.js";
+import { deliverTokens } from "../utils/auth-cookies.js";
+
+// A device stays logged in this long after signing in (refresh cookie lifetime)
+const SESSION_TTL = 7 * 24 * 60 * 60; // 7 days
+
+// A session is one device's refresh token family: every refresh rotates the
+// token inside it, and a replayed old token revokes the whole family.
+// session:<sessionId> → HASH { userId, tokenHash, previousHash, rotatedAt,
+//   userAgent, ip, createdAt, lastUsedAt }
+const sessionKey = (sessionId) => `session:${sessionId}`;
+// sessions:<userId> → SET of that user's session ids (one per device)
+const userSessionsKey = (userId) => `sessions:${userId}`;
+// session:<sessionId>:rotated → SET of refresh token hashes already rotated out
+const rotatedKey = (sessionId) => `session:${sessionId}:rotated`;
+
+// The token just rotated out is not yet "reused" for this long: two tabs
+// refreshing at once, or a retry after a dropped response, present it too
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// Hash refresh token (to store securely in Redis)
+const hashRefreshToken = (refreshToken) =>
+  crypto.createHash("sha256").update(refreshToken).digest("hex");
+
+const newSessionId = () => crypto.randomUUID();
+
+//---------------------------------------------------------
+// CREATE / READ
+//---------------------------------------------------------
+const createSession = async ({
+  sessionId,
+  userId,
+  refreshToken,
+  userAgent = "",
+  ip = "",
+}) => {
+  const now = new Date().toISOString();
+
+  await redisClient
+    .multi()
+    .hset(sessionKey(sessionId), {
+      userId: String(userId),
+      tokenHash: hashRefreshToken(refreshToken),
+      userAgent,
+      ip,
+      createdAt: now,
+      lastUsedAt: now,
+    })
+    .expire(sessionKey(sessionId), SESSION_TTL)
+    .sadd(userSessionsKey(userId), sessionId)
+    .expire(userSessionsKey(userId), SESSION_TTL)
+    .exec();
+};
+
+// null when the session expired or was revoked
+const getSession = async (sessionId) => {
+  if (!sessionId) return null;
+  const session = await redisClient.hgetall(sessionKey(sessionId));
+  return session?.userId ? { id: sessionId, ...session } : null;
+};
+
+const sessionExists = async (sessionId) =>
+  Boolean(sessionId) && (await redisClient.exists(sessionKey(sessionId))) === 1;
+
+// Device details stored with a session (shown in the sessions list)
+const clientInfo = (req) => ({
+  userAgent: req.get("user-agent") || "",
+  ip: req.ip || "",
+});
+
+//---------------------------------------------------------
+// LOG A DEVICE IN: tokens + Redis session + cookies
+//---------------------------------------------------------
+// → { sessionId, tokens } — `tokens` is null unless the client asked for
+// bearer tokens (X-Auth-Mode: bearer), then it goes into the response body
+const startSession = async (req, res, user) => {
+  const sessionId = newSessionId();
+  const accessToken = user.createAccessToken(sessionId);
+  const refreshToken = user.createRefreshToken(sessionId);
+
+  //  Hashed refresh token is stored per session (7 days)
+  await createSession({
+    sessionId,
+    userId: user._id,
+    refreshToken,
+    ...clientInfo(req),
+  });
+
+  const tokens = deliverTokens(req, res, { accessToken, refreshToken });
+  return { sessionId, tokens };
+};
+
+//---------------------------------------------------------
+// ROTATION (every refresh swaps the session's refresh token)
+//---------------------------------------------------------
+
+// Compare-and-swap in one Redis call so two refreshes can't both rotate
+// the same token. Returns 1 rotated, 2 rotated moments ago (grace window),
+// -1 already rotated (reuse), 0 unknown.
+// The session keeps the lifetime it got at sign-in; rotating doesn't extend it.
+const ROTATE_SCRIPT = `
+local current = redis.call("HGET", KEYS[1], "tokenHash")
+if not current then return 0 end
+if current == ARGV[1] then
+  redis.call("HSET", KEYS[1], "tokenHash", ARGV[2], "previousHash", ARGV[1], "rotatedAt", ARGV[4], "lastUsedAt", ARGV[3], "ip", ARGV[6], "userAgent", ARGV[7])
+  redis.call("SADD", KEYS[2], ARGV[1])
+  redis.call("PEXPIRE", KEYS[2], redis.call("PTTL", KEYS[1]))
+  return 1
+end
+if redis.call("HGET", KEYS[1], "previousHash") == ARGV[1] and
+  tonumber(ARGV[4]) - tonumber(redis.call("HGET", KEYS[1], "rotatedAt")) <= tonumber(ARGV[5]) then
+  return 2
+end
+if redis.call("SISMEMBER", KEYS[2], ARGV[1]) == 1 then return -1 end
+return 0
+`;
+
+// → "rotated" | "superseded" | "reused" | "invalid"
+const rotateRefreshToken = async ({
+  sessionId,
+  presentedToken,
+  nextToken,
+  userAgent = "",
+  ip = "",
+}) => {
+  const now = new Date();
+  const result = await redisClient.eval(
+    ROTATE_SCRIPT,
+    2,
+    sessionKey(sessionId),
+    rotatedKey(sessionId),
+    hashRefreshToken(presentedToken),
+    hashRefreshToken(nextToken),
+    now.toISOString(),
+    now.getTime(),
+    ROTATION_GRACE_MS,
+    ip,
+    userAgent,
+  );
+
+  if (result === 1) return "rotated";
+  if (result === 2) return "superseded";
+  if (result === -1) return "reused";
+  return "invalid";
+};
+
+//---------------------------------------------------------
+// LIST (drops ids whose session hash already expired)
+//---------------------------------------------------------
+const listSessions = async (userId) => {
+  const ids = await redisClient.smembers(userSessionsKey(userId));
+  if (ids.length === 0) return [];
+
+  const pipeline = redisClient.pipeline();
+  ids.forEach((id) => pipeline.hgetall(sessionKey(id)));
+  const results = await pipeline.exec();
+
+  const sessions = [];
+  const expired = [];
+  ids.forEach((id, i) => {
+    const session = results[i][1];
+    if (session?.userId) sessions.push({ id, ...session });
+    else expired.push(id);
+  });
+
+  if (expired.length > 0) {
+    await redisClient.srem(userSessionsKey(userId), ...expired);
+  }
+
+  return sessions.sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+};
+
+//---------------------------------------------------------
+// REVOKE
+//---------------------------------------------------------
+
+// Returns false when the session doesn't exist or isn't the user's
+const revokeSession = async (userId, sessionId) => {
+  const session = await getSession(sessionId);
+  if (!session || session.userId !== String(userId)) return false;
+
+  await redisClient
+    .multi()
+    .srem(userSessionsKey(userId), sessionId)
+    .del(sessionKey(sessionId), rotatedKey(sessionId))
+    .exec();
+
+  return true;
+};
+
+// Revoke every session of the user, optionally keeping one (the caller's)
+const revokeAllSessions = async (userId, { except } = {}) => {
+  const ids = (await redisClient.smembers(userSessionsKey(userId))).filter(
+    (id) => id !== except,
+  );
+  if (ids.length === 0) return [];
+
+  await redisClient
+    .multi()
+    .srem(userSessionsKey(userId), ...ids)
+    .del(...ids.map(sessionKey), ...ids.map(rotatedKey))
+    .exec();
+
+  return ids;
+};
+
+export {
+  SESSION_TTL,
+  clientInfo,
+  startSession,
+  getSession,
+  sessionExists,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
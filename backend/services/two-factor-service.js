@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import { authenticator } from "otplib";
+import User from "../models/Users.js";
+import ApiError from "../utils/api-error.js";
+import { redisClient } from "../redis/redisClient.js";
+
+// Name shown in authenticator apps next to the account email
+const TOTP_ISSUER = "BaatCheet";
+
+// 30s codes; the previous/next step is accepted too (clock drift on phones)
+const TOTP_STEP = 30;
+const TOTP_WINDOW = 1;
+authenticator.options = { step: TOTP_STEP, window: TOTP_WINDOW };
+
+const RECOVERY_CODE_COUNT = 10;
+
+// A password-verified login waits this long for its second factor
+const CHALLENGE_TTL = 5 * 60; // 5 minutes
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// 2fa:challenge:<challengeId> → HASH { userId, attempts } (EX CHALLENGE_TTL)
+const challengeKey = (challengeId) => `2fa:challenge:${challengeId}`;
+// 2fa:used:<userId>:<code> → a TOTP code can't be replayed inside its window
+const usedCodeKey = (userId, code) => `2fa:used:${userId}:${code}`;
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/-/g, "").toLowerCase())
+    .digest("hex");
+
+//---------------------------------------------------------
+// ENROLLMENT
+//---------------------------------------------------------
+const generateSecret = (email) => {
+  const secret = authenticator.generateSecret();
+  return {
+    secret,
+    otpauthUrl: authenticator.keyuri(email, TOTP_ISSUER, secret),
+  };
+};
+
+// "a1b2c3d4-e5f6a7b8" style one-time codes; only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(8).toString("hex");
+    return `${hex.slice(0, 8)}-${hex.slice(8)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+//---------------------------------------------------------
+// CODE CHECKS
+//---------------------------------------------------------
+const isValidTotp = (secret, code) => {
+  try {
+    return authenticator.check(String(code), secret);
+  } catch (error) {
+    return false;
+  }
+};
+
+// TOTP code, remembered until it can no longer be valid
+const useTotp = async (userId, secret, code) => {
+  if (!isValidTotp(secret, code)) return false;
+
+  const ttl = TOTP_STEP * (2 * TOTP_WINDOW + 1);
+  const fresh = await redisClient.set(
+    usedCodeKey(userId, code),
+    "1",
+    "EX",
+    ttl,
+    "NX",
+  );
+  return fresh === "OK";
+};
+
+// Atomic $pull: the same recovery code can't log in twice
+const useRecoveryCode = async (userId, code) => {
+  const { modifiedCount } = await User.updateOne(
+    { _id: userId, "twoFactor.recoveryCodes": hashRecoveryCode(code) },
+    { $pull: { "twoFactor.recoveryCodes": hashRecoveryCode(code) } },
+  );
+  return modifiedCount === 1;
+};
+
+/**
+ * @desc Checks a second factor of a user with 2FA enabled: a 6-digit TOTP
+ *       code or one of the recovery codes (which is then burnt)
+ * @returns "totp" | "recovery_code"
+ */
+const verifySecondFactor = async (userId, code) => {
+  const user = await User.findById(userId).select("+twoFactor.secret");
+  if (!user?.twoFactor?.enabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+
+  const value = String(code ?? "").trim();
+  if (/^\d{6}$/.test(value)) {
+    if (await useTotp(userId, user.twoFactor.secret, value)) return "totp";
+  } else if (value && (await useRecoveryCode(userId, value))) {
+    return "recovery_code";
+  }
+
+  throw new ApiError(401, "Invalid two-factor code");
+};
+
+//---------------------------------------------------------
+// LOGIN CHALLENGE (password ok, waiting for the second factor)
+//---------------------------------------------------------
+const createLoginChallenge = async (userId) => {
+  const challengeId = crypto.randomUUID();
+  await redisClient
+    .multi()
+    .hset(challengeKey(challengeId), { userId: String(userId), attempts: 0 })
+    .expire(challengeKey(challengeId), CHALLENGE_TTL)
+    .exec();
+  return { challengeId, expiresIn: CHALLENGE_TTL };
+};
+
+// Returns the userId of a live challenge and counts the attempt
+const useLoginChallenge = async (challengeId) => {
+  const key = challengeKey(challengeId);
+  const [[, userId], [, attempts]] = await redisClient
+    .multi()
+    .hget(key, "userId")
+    .hincrby(key, "attempts", 1)
+    .exec();
+
+  if (!userId) {
+    await redisClient.del(key);
+    throw new ApiError(401, "Login challenge expired, please log in again");
+  }
+  if (attempts > MAX_CHALLENGE_ATTEMPTS) {
+    await redisClient.del(key);
+    throw new ApiError(429, "Too many attempts, please log in again");
+  }
+  return userId;
+};
+
+const clearLoginChallenge = async (challengeId) => {
+  await redisClient.del(challengeKey(challengeId));
+};
+
+export {
+  generateSecret,
+  generateRecoveryCodes,
+  isValidTotp,
+  verifySecondFactor,
+  createLoginChallenge,
+  useLoginChallenge,
+  clearLoginChallenge,
+};
@@ -0,0 +1,93 @@
+import { redisClient } from "../redis/redisClient.js";
+import { emitToConversation } from "../socket/socket-emitter.js";
+import { getBlockedEitherWayIds } from "./block-service.js";
+
+// A typing flag lives this long unless the client keeps sending typing_start,
+// so a crashed client can't leave someone "typing" forever
+const TYPING_TTL = 6; // seconds
+
+// At most one typing broadcast per user per conversation in this window
+const TYPING_THROTTLE_MS = 2000;
+
+// typing:<conversationId>:<userId> → "1" (EX TYPING_TTL)
+const typingKey = (conversationId, userId) =>
+  `typing:${conversationId}:${userId}`;
+const throttleKey = (conversationId, userId) =>
+  `typing:throttle:${conversationId}:${userId}`;
+
+//---------------------------------------------------------
+// START / KEEP TYPING
+//---------------------------------------------------------
+// Returns true when the start was broadcast, false when throttled
+const startTyping = async (conversationId, user) => {
+  const results = await redisClient
+    .multi()
+    .set(typingKey(conversationId, user._id), "1", "EX", TYPING_TTL)
+    .set(
+      throttleKey(conversationId, user._id),
+      "1",
+      "PX",
+      TYPING_THROTTLE_MS,
+      "NX",
+    )
+    .exec();
+
+  // the flag TTL is refreshed either way, only the broadcast is throttled
+  const allowed = results[1][1] === "OK";
+  if (!allowed) return false;
+
+  // the typer's own devices get it too; clients ignore their own userId.
+  // Blocked users (either way) never see each other typing
+  const blockedIds = await getBlockedEitherWayIds(user._id);
+  emitToConversation(
+    conversationId,
+    "typing_started",
+    {
+      conversationId,
+      userId: user._id,
+      username: user.username,
+      // clients hide the indicator after this unless it is refreshed
+      expiresIn: TYPING_TTL * 1000,
+    },
+    [...blockedIds],
+  );
+  return true;
+};
+
+//---------------------------------------------------------
+// STOP TYPING (explicit stop, message sent, disconnect)
+//---------------------------------------------------------
+const stopTyping = async (conversationId, userId) => {
+  const results = await redisClient
+    .multi()
+    .del(typingKey(conversationId, userId))
+    .del(throttleKey(conversationId, userId))
+    .exec();
+
+  // nothing to tell anyone if the user wasn't (or no longer) typing
+  const removed = results[0][1] === 1;
+  if (!removed) return false;
+
+  const blockedIds = await getBlockedEitherWayIds(userId);
+  emitToConversation(
+    conversationId,
+    "typing_stopped",
+    { conversationId, userId },
+    [...blockedIds],
+  );
+  return true;
+};
+
+//---------------------------------------------------------
+// WHO IS TYPING RIGHT NOW (expired flags are simply gone)
+//---------------------------------------------------------
+const getTypingUserIds = async (conversationId, memberIds) => {
+  if (memberIds.length === 0) return [];
+
+  const flags = await redisClient.mget(
+    memberIds.map((id) => typingKey(conversationId, id)),
+  );
+  return memberIds.filter((id, i) => flags[i] !== null);
+};
+
+export { TYPING_TTL, startTyping, stopTyping, getTypingUserIds };
@@ -0,0 +1,120 @@
+import Conversation from "../models/Conversations.js";
+import socketHandler from "../utils/socketHandler.js";
+import { MESSAGE_SEND_LIMIT, postMessage } from "../services/chat-service.js";
+import { consumeRateLimit } from "../middlewares/rate-limit-middleware.js";
+import {
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+} from "../services/message-service.js";
+import {
+  markConversationRead,
+  markPendingDelivered,
+} from "../services/receipt-service.js";
+import { userRoom, conversationRoom, sessionRoom } from "./socket-emitter.js";
+
+//---------------------------------------------------------
+// JOIN PERSONAL, SESSION + CONVERSATION ROOMS ON CONNECT
+//---------------------------------------------------------
+const joinUserRooms = async (socket) => {
+  const userId = socket.user._id;
+
+  const conversations = await Conversation.find({
+    "members.user": userId,
+  }).select("_id");
+
+  socket.join([
+    userRoom(userId),
+    // lets a revoked session be disconnected everywhere
+    sessionRoom(socket.data.sessionId),
+    ...conversations.map((conversation) => conversationRoom(conversation._id)),
+  ]);
+
+  // whatever was sent while all devices were offline has now arrived
+  await markPendingDelivered(userId);
+};
+
+//---------------------------------------------------------
+// CHAT EVENTS
+//---------------------------------------------------------
+const registerChatHandlers = (socket) => {
+  // send_message → persisted exactly like POST /api/chats/:id/messages
+  // (same rate limit), which then broadcasts new_message to the room
+  socket.on(
+    "send_message",
+    socketHandler(
+      async ({
+        conversationId,
+        content,
+        attachmentId,
+        replyToId,
+        threadRootId,
+      }) => {
+        await consumeRateLimit(MESSAGE_SEND_LIMIT, `user:${socket.user._id}`);
+        return postMessage({
+          conversationId,
+          senderId: socket.user._id,
+          content,
+          attachmentId,
+          replyToId,
+          threadRootId,
+        });
+      },
+    ),
+  );
+
+  // edit_message / delete_message → same as PATCH / DELETE
+  // /api/chats/:id/messages/:messageId; they broadcast message_edited and
+  // message_deleted (scope "me": only to my own devices)
+  socket.on(
+    "edit_message",
+    socketHandler(({ conversationId, messageId, content }) =>
+      editMessage({
+        conversationId,
+        messageId,
+        userId: socket.user._id,
+        content,
+      }),
+    ),
+  );
+
+  socket.on(
+    "delete_message",
+    socketHandler(({ conversationId, messageId, scope }) =>
+      deleteMessage({
+        conversationId,
+        messageId,
+        userId: socket.user._id,
+        scope,
+      }),
+    ),
+  );
+
+  // toggle_reaction → same as POST /api/chats/:id/messages/:messageId/reactions,
+  // fans out message_reaction
+  socket.on(
+    "toggle_reaction",
+    socketHandler(({ conversationId, messageId, emoji }) =>
+      toggleReaction({
+        conversationId,
+        messageId,
+        userId: socket.user._id,
+        emoji,
+      }),
+    ),
+  );
+
+  // mark_read → same as POST /api/chats/:id/read, fans out messages_read
+  socket.on(
+    "mark_read",
+    socketHandler(({ conversationId, messageId }) =>
+      markConversationRead({
+        conversationId,
+        userId: socket.user._id,
+        messageId,
+      }),
+    ),
+  );
+};
+
+export { joinUserRooms, registerChatHandlers };
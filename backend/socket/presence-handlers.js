@@ -0,0 +1,26 @@
+import {
+  markConnected,
+  markDisconnected,
+} from "../services/presence-service.js";
+
+const handleDisconnect = async (socket) => {
+  try {
+    await markDisconnected(socket.user._id, socket.id);
+  } catch (error) {
+    console.error("Presence disconnect failed:", error);
+  }
+};
+
+//---------------------------------------------------------
+// PRESENCE: one Redis entry per socket, online while any remains
+//---------------------------------------------------------
+const registerPresenceHandlers = async (socket) => {
+  await markConnected(socket.user._id, socket.id);
+
+  // the client may have dropped while Redis was being updated
+  if (socket.disconnected) return handleDisconnect(socket);
+
+  socket.on("disconnect", () => handleDisconnect(socket));
+};
+
+export { registerPresenceHandlers };
@@ -0,0 +1,64 @@
+// Holds the Socket.IO server so controllers/services can broadcast
+// without importing the server bootstrap (and without circular imports).
+let io = null;
+
+const setIO = (server) => {
+  io = server;
+};
+
+// ------------------------------
+//  ROOM NAMES
+// ------------------------------
+const userRoom = (userId) => `user:${userId}`;
+const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+// every socket opened with a given login session (one device)
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// ------------------------------
+//  EMIT HELPERS (no-ops until the socket server is attached)
+// ------------------------------
+const emitToUser = (userId, event, payload) => {
+  io?.to(userRoom(userId)).emit(event, payload);
+};
+
+// `except`: user ids whose devices must not get it (blocks)
+const emitToConversation = (conversationId, event, payload, except = []) => {
+  io?.to(conversationRoom(conversationId))
+    .except(except.map((id) => userRoom(id)))
+    .emit(event, payload);
+};
+
+// Make every connected device of the given users join a conversation room
+const joinConversationRoom = (userIds, conversationId) => {
+  if (!io) return;
+  io.in(userIds.map((id) => userRoom(id))).socketsJoin(
+    conversationRoom(conversationId),
+  );
+};
+
+// ...and stop receiving it (removed from a group, group deleted)
+const leaveConversationRoom = (userIds, conversationId) => {
+  if (!io) return;
+  io.in(userIds.map((id) => userRoom(id))).socketsLeave(
+    conversationRoom(conversationId),
+  );
+};
+
+// Drop the live connections of revoked sessions
+const disconnectSessions = (sessionIds) => {
+  if (!io || sessionIds.length === 0) return;
+  io.in(sessionIds.map((id) => sessionRoom(id))).disconnectSockets(true);
+};
+
+export {
+  io,
+  setIO,
+  userRoom,
+  conversationRoom,
+  sessionRoom,
+  emitToUser,
+  emitToConversation,
+  joinConversationRoom,
+  leaveConversationRoom,
+  disconnectSessions,
+};
@@ -0,0 +1,84 @@
+import { Server } from "socket.io";
+import cookieParser from "cookie-parser";
+import { allowedOrigins } from "../app.js";
+import { verifyAccessToken } from "../middlewares/auth-middleware.js";
+import { sessionExists } from "../services/session-service.js";
+import { setIO } from "./socket-emitter.js";
+import { joinUserRooms, registerChatHandlers } from "./chat-handlers.js";
+import { registerPresenceHandlers } from "./presence-handlers.js";
+import { registerTypingHandlers } from "./typing-handlers.js";
+
+/**
+ * @desc Attaches Socket.IO to the HTTP server. The handshake is authenticated
+ *       with the same httpOnly accessToken cookie that authValidator reads,
+ *       or (native apps) a bearer access token in `auth: { token }`.
+ */
+const initSocket = (server) => {
+  const io = new Server(server, {
+    cors: {
+      origin: allowedOrigins,
+      credentials: true,
+    },
+  });
+
+  // parse the handshake cookies the same way Express does
+  io.engine.use(cookieParser());
+
+  // ------------------------------
+  //  Handshake authentication
+  // ------------------------------
+  io.use(async (socket, next) => {
+    try {
+      const { user, sessionId } = await verifyAccessToken(
+        socket.handshake.auth?.token || socket.request.cookies?.accessToken,
+      );
+      socket.user = user;
+      socket.data.sessionId = sessionId;
+      next();
+    } catch (error) {
+      // connect_error on the client: err.message + err.data
+      const authError = new Error(error.message || "Unauthorized");
+      authError.data = {
+        status: error.status || 401,
+        // TOKEN_EXPIRED → call /api/auth/refresh and reconnect
+        // SESSION_REVOKED → log in again
+        code: error.code || "UNAUTHORIZED",
+      };
+      next(authError);
+    }
+  });
+
+  // ------------------------------
+  //  Connection lifecycle
+  // ------------------------------
+  io.on("connection", async (socket) => {
+    // sessions revoked where there is no Socket.IO server (the account
+    // worker deleting a user) can't be disconnected from there: every event
+    // checks that the session is still alive
+    socket.use(async ([event], next) => {
+      try {
+        if (await sessionExists(socket.data.sessionId)) return next();
+      } catch (error) {
+        console.error(`Session check for ${event} failed:`, error);
+        return next(error);
+      }
+      socket.disconnect(true);
+    });
+
+    registerChatHandlers(socket);
+    registerTypingHandlers(socket);
+
+    try {
+      await joinUserRooms(socket);
+      await registerPresenceHandlers(socket);
+    } catch (error) {
+      console.error("Socket setup failed:", error);
+      socket.disconnect(true);
+    }
+  });
+
+  setIO(io);
+  return io;
+};
+
+export default initSocket;
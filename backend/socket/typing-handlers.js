@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+import ApiError from "../utils/api-error.js";
+import socketHandler from "../utils/socketHandler.js";
+import { startTyping, stopTyping } from "../services/typing-service.js";
+import { conversationRoom } from "./socket-emitter.js";
+
+// Room membership mirrors conversation membership (joined on connect,
+// updated on group changes), so no DB round trip per keystroke
+const assertInConversation = (socket, conversationId) => {
+  if (
+    !mongoose.isValidObjectId(conversationId) ||
+    !socket.rooms.has(conversationRoom(conversationId))
+  ) {
+    throw new ApiError(403, "You are not a member of this conversation");
+  }
+};
+
+//---------------------------------------------------------
+// TYPING INDICATORS
+//---------------------------------------------------------
+const registerTypingHandlers = (socket) => {
+  // conversations this socket is currently typing in (cleanup on disconnect)
+  socket.data.typingIn = new Set();
+
+  socket.on(
+    "typing_start",
+    socketHandler(async ({ conversationId }) => {
+      assertInConversation(socket, conversationId);
+      socket.data.typingIn.add(String(conversationId));
+
+      const broadcast = await startTyping(conversationId, socket.user);
+      return { throttled: !broadcast };
+    }),
+  );
+
+  socket.on(
+    "typing_stop",
+    socketHandler(async ({ conversationId }) => {
+      assertInConversation(socket, conversationId);
+      socket.data.typingIn.delete(String(conversationId));
+
+      await stopTyping(conversationId, socket.user._id);
+      return null;
+    }),
+  );
+
+  socket.on("disconnect", async () => {
+    try {
+      await Promise.all(
+        [...socket.data.typingIn].map((conversationId) =>
+          stopTyping(conversationId, socket.user._id),
+        ),
+      );
+    } catch (error) {
+      console.error("Typing cleanup failed:", error);
+    }
+  });
+};
+
+export { registerTypingHandlers };
@@ -0,0 +1,51 @@
+import { v2 as cloudinary } from "cloudinary";
+
+// Cloudinary groups assets by resource type; audio lives under "video"
+const RESOURCE_TYPES = { image: "image", audio: "video", file: "raw" };
+
+/**
+ * @desc Storage adapter backed by Cloudinary (see storage/index.js for the contract)
+ */
+const createCloudinaryStorage = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true,
+  });
+
+  const folder = process.env.CLOUDINARY_FOLDER || "baatcheet";
+
+  const save = ({ buffer, key, kind }) =>
+    new Promise((resolve, reject) => {
+      const resourceType = RESOURCE_TYPES[kind] ?? "raw";
+
+      const stream = cloudinary.uploader.upload_stream(
+        {
+          folder,
+          // raw assets keep their extension in the public id, others must not
+          public_id: resourceType === "raw" ? key : key.replace(/\.[^.]+$/, ""),
+          resource_type: resourceType,
+          overwrite: false,
+        },
+        (error, result) => {
+          if (error) return reject(error);
+          resolve({
+            key: result.public_id,
+            url: result.secure_url,
+            resourceType,
+          });
+        },
+      );
+
+      stream.end(buffer);
+    });
+
+  const remove = async ({ key, resourceType = "raw" }) => {
+    await cloudinary.uploader.destroy(key, { resource_type: resourceType });
+  };
+
+  return { driver: "cloudinary", save, remove };
+};
+
+export default createCloudinaryStorage;
@@ -0,0 +1,42 @@
+import createCloudinaryStorage from "./cloudinary-storage.js";
+import createLocalStorage from "./local-storage.js";
+
+/**
+ * Storage adapter contract (every driver returns this shape):
+ *
+ *   driver: string                       — "cloudinary" | "local"
+ *   save({ buffer, key, mimeType, kind }) → Promise<{ key, url, resourceType }>
+ *   remove({ key, resourceType })         → Promise<void>
+ *
+ * `key` is a server-generated relative path such as "images/<uuid>.png".
+ * `kind` is the attachment kind ("image" | "audio" | "file").
+ */
+const drivers = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalStorage,
+};
+
+// STORAGE_DRIVER wins; otherwise Cloudinary when configured, else local disk
+const resolveDriver = () => {
+  if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER;
+  return process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local";
+};
+
+let storage;
+
+// Created lazily so dotenv has populated process.env by the first call
+const getStorage = () => {
+  if (storage) return storage;
+
+  const driver = resolveDriver();
+  const createStorage = drivers[driver];
+  if (!createStorage) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  }
+
+  storage = createStorage();
+  return storage;
+};
+
+export { resolveDriver };
+export default getStorage;
@@ -0,0 +1,39 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Served by app.js under this path when the local driver is active
+const PUBLIC_PATH = "/uploads";
+
+/**
+ * @desc Storage adapter writing to the local disk — for development and
+ *       tests without network access (see storage/index.js for the contract)
+ */
+const createLocalStorage = () => {
+  const rootDir = path.resolve(process.env.UPLOADS_DIR || "uploads");
+  const baseUrl = `${process.env.PUBLIC_SERVER_URL || ""}${PUBLIC_PATH}`;
+
+  // keys are generated server-side, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const save = async ({ buffer, key }) => {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer, { flag: "wx" });
+
+    return { key, url: `${baseUrl}/${key}`, resourceType: null };
+  };
+
+  const remove = async ({ key }) => {
+    await fs.rm(resolveKey(key), { force: true });
+  };
+
+  return { driver: "local", rootDir, publicPath: PUBLIC_PATH, save, remove };
+};
+
+export default createLocalStorage;
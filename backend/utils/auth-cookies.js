@@ -0,0 +1,63 @@
+import jwt from "jsonwebtoken";
+
+// ===================== AUTH COOKIE OPTIONS =====================
+// (shared by every flow that logs a device in or out)
+const isProd = process.env.NODE_ENV === "production";
+
+// Access Token cookie (short-lived)
+const accessCookieOptions = {
+  httpOnly: true,
+  secure: isProd,
+  sameSite: "strict",
+  maxAge: 15 * 60 * 1000, // 15 minutes
+};
+
+// Refresh Token cookie (long-lived)
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: isProd,
+  sameSite: "strict",
+  maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+};
+
+// OAuth state binding (see services/oauth-service.js): Lax, because the
+// provider's redirect back to us is a cross-site navigation
+const oauthStateCookieOptions = {
+  httpOnly: true,
+  secure: isProd,
+  sameSite: "lax",
+  path: "/api/auth/oauth",
+  maxAge: 10 * 60 * 1000, // 10 minutes, like the state itself
+};
+
+// ===================== TOKEN DELIVERY =====================
+// Browsers get httpOnly cookies. Native apps and scripts can't use
+// sameSite=strict cookies, so they send `X-Auth-Mode: bearer` and get the
+// tokens in the response body instead (then `Authorization: Bearer …`).
+const wantsBearerTokens = (req) =>
+  req.get("x-auth-mode")?.trim().toLowerCase() === "bearer";
+
+// Sets the cookies, or returns the tokens for the response body (bearer mode)
+const deliverTokens = (req, res, { accessToken, refreshToken }, bearer) => {
+  if (bearer ?? wantsBearerTokens(req)) {
+    return {
+      tokenType: "Bearer",
+      accessToken,
+      refreshToken,
+      // seconds since epoch, so clients can refresh ahead of time
+      accessTokenExpiresAt: jwt.decode(accessToken)?.exp ?? null,
+    };
+  }
+
+  res.cookie("accessToken", accessToken, accessCookieOptions);
+  res.cookie("refreshToken", refreshToken, refreshCookieOptions);
+  return null;
+};
+
+export {
+  accessCookieOptions,
+  refreshCookieOptions,
+  oauthStateCookieOptions,
+  wantsBearerTokens,
+  deliverTokens,
+};
@@ -0,0 +1,50 @@
+import crypto from "crypto";
+
+// Background colours for generated avatars (picked from the username hash)
+const AVATAR_COLORS = [
+  "#1abc9c",
+  "#2ecc71",
+  "#3498db",
+  "#9b59b6",
+  "#e67e22",
+  "#e74c3c",
+  "#16a085",
+  "#2980b9",
+  "#8e44ad",
+  "#d35400",
+];
+
+const GENERATED_AVATAR_PREFIX = "data:image/svg+xml;base64,";
+
+// "arush_awasthi" → "AA", "arush" → "AR"
+const getInitials = (username = "") => {
+  const parts = username
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+
+  if (parts.length === 0) return "?";
+  if (parts.length === 1) return parts[0].slice(0, 2).toUpperCase();
+  return (parts[0][0] + parts[1][0]).toUpperCase();
+};
+
+// Initials on a coloured circle, as a data URI usable directly in <img src>
+const initialsAvatar = (username) => {
+  const hash = crypto.createHash("md5").update(String(username)).digest();
+  const color = AVATAR_COLORS[hash[0] % AVATAR_COLORS.length];
+
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128" viewBox="0 0 128 128">` +
+    `<circle cx="64" cy="64" r="64" fill="${color}"/>` +
+    `<text x="50%" y="50%" dy=".35em" text-anchor="middle" fill="#ffffff" ` +
+    `font-family="Arial, Helvetica, sans-serif" font-size="52" font-weight="600">` +
+    `${getInitials(username)}</text></svg>`;
+
+  return GENERATED_AVATAR_PREFIX + Buffer.from(svg).toString("base64");
+};
+
+const isGeneratedAvatar = (avatar = "") =>
+  avatar.startsWith(GENERATED_AVATAR_PREFIX);
+
+export { initialsAvatar, isGeneratedAvatar };
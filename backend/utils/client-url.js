@@ -0,0 +1,34 @@
+// Frontend base URL for links in emails (read lazily: dotenv loads after imports)
+const getClientUrl = () =>
+  (
+    process.env.CLIENT_URL ||
+    (process.env.CORS_ORIGINS || "http://localhost:3000").split(",")[0]
+  )
+    .trim()
+    .replace(/\/+$/, "");
+
+// clientLink("/revert-email", { token }) → "https://app.example/revert-email?token=…"
+const clientLink = (path, params = {}) => {
+  const url = new URL(path, `${getClientUrl()}/`);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.set(key, value),
+  );
+  return url.toString();
+};
+
+// This API's public base URL (links that must hit the server, e.g. downloads)
+const getServerUrl = () =>
+  (
+    process.env.PUBLIC_SERVER_URL ||
+    `http://localhost:${process.env.PORT || 9990}`
+  ).replace(/\/+$/, "");
+
+const serverLink = (path, params = {}) => {
+  const url = new URL(path, `${getServerUrl()}/`);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.set(key, value),
+  );
+  return url.toString();
+};
+
+export { getClientUrl, clientLink, getServerUrl, serverLink };
@@ -72,5 +72,154 @@ const OTPVerificationMailGenContent = function (username, intro , otp) {
   };
 };
 
+// Security notice with the details of what happened (time, IP, device…)
+const SecurityAlertMailGenContent = function (username, intro, details) {
+  return {
+    body: {
+      name: `${username}`,
+      intro: `${intro}`,
+      dictionary: details,
+      outro:
+        "If this wasn't you, change your password right away. If it was you, you can ignore this email.",
+    },
+  };
+};
+
+// Sent to the old address when an email change is requested
+const EmailChangeNoticeMailGenContent = function (
+  username,
+  newEmail,
+  revertLink,
+) {
+  return {
+    body: {
+      name: `${username}`,
+      intro: `A request was made to change the email of your BaatCheet account to ${newEmail}.`,
+      action: {
+        instructions:
+          "If this wasn't you, undo the change and keep this address on your account:",
+        button: {
+          color: "#e74c3c",
+          text: "This wasn't me",
+          link: revertLink,
+        },
+      },
+      outro:
+        "If you made this request, you can ignore this email. The link stays valid for 7 days.",
+    },
+  };
+};
+
+// "Download my data" archive is ready
+const DataExportReadyMailGenContent = function (
+  username,
+  downloadLink,
+  validDays,
+) {
+  return {
+    body: {
+      name: `${username}`,
+      intro: "The copy of your BaatCheet data you asked for is ready.",
+      action: {
+        instructions:
+          "The archive contains your profile, conversations, messages and a list of your attachments:",
+        button: {
+          text: "Download my data",
+          link: downloadLink,
+        },
+      },
+      outro: `The link stays valid for ${validDays} days. Don't share it: anyone with the link can download your data.`,
+    },
+  };
+};
 
-export { OTPVerificationMailGenContent,sendEmail };
+// Account deletion was scheduled; it can still be cancelled until `scheduledFor`
+const AccountDeletionMailGenContent = function (
+  username,
+  scheduledFor,
+  settingsLink,
+) {
+  return {
+    body: {
+      name: `${username}`,
+      intro: `Your BaatCheet account is scheduled for deletion on ${scheduledFor.toUTCString()}. After that, your profile, chats and messages are removed for good.`,
+      action: {
+        instructions:
+          "Changed your mind? Log in and cancel the deletion before then:",
+        button: {
+          color: "#e74c3c",
+          text: "Keep my account",
+          link: settingsLink,
+        },
+      },
+      outro:
+        "If you didn't ask for this, log in, cancel the deletion and change your password.",
+    },
+  };
+};
+
+// Mailgen renders table cells as HTML; text written by users goes through this
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        char
+      ],
+  );
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// Digest of unread chats while offline: chats = [{ name, unread, latest }]
+const UnreadDigestMailGenContent = function (
+  username,
+  { chats, mentionCount, openLink, unsubscribeLink },
+) {
+  const intro = [];
+  if (chats.length > 0) {
+    intro.push(
+      `While you were away, messages arrived in ${plural(chats.length, "chat")} on BaatCheet.`,
+    );
+  }
+  if (mentionCount > 0) {
+    intro.push(`You were mentioned ${plural(mentionCount, "time")}.`);
+  }
+
+  return {
+    body: {
+      name: `${username}`,
+      intro,
+      ...(chats.length > 0 && {
+        table: {
+          data: chats.map((chat) => ({
+            chat: escapeHtml(chat.name),
+            unread: String(chat.unread),
+            latest: escapeHtml(chat.latest),
+          })),
+          columns: {
+            customWidth: { chat: "30%", unread: "15%" },
+            customAlignment: { unread: "right" },
+          },
+        },
+      }),
+      action: {
+        instructions: "Catch up on your conversations:",
+        button: {
+          text: "Open BaatCheet",
+          link: openLink,
+        },
+      },
+      outro: `Don't want these emails? Unsubscribe here: ${unsubscribeLink}`,
+    },
+  };
+};
+
+export {
+  OTPVerificationMailGenContent,
+  SecurityAlertMailGenContent,
+  EmailChangeNoticeMailGenContent,
+  DataExportReadyMailGenContent,
+  AccountDeletionMailGenContent,
+  UnreadDigestMailGenContent,
+  sendEmail,
+};
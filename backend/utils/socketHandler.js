@@ -0,0 +1,23 @@
+// Socket.IO counterpart of asyncHandler: runs an async event handler and
+// answers the client's acknowledgement callback with the ApiResponse/ApiError shape.
+const socketHandler = (eventHandler) => {
+  return async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    try {
+      const data = await eventHandler(payload ?? {});
+      reply({ success: true, data });
+    } catch (error) {
+      if (!error.status) console.error("Socket handler error:", error);
+      reply({
+        success: false,
+        error: {
+          message: error.status ? error.message : "Internal Server Error",
+          code: error.code || "INTERNAL_ERROR",
+          status: error.status || 500,
+          errors: error.errors || [],
+        },
+      });
+    }
+  };
+};
+export default socketHandler;
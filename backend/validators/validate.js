@@ -1,4 +1,5 @@
-import { body } from "express-validator";
+import { body, param, query } from "express-validator";
+import { API_TOKEN_SCOPES } from "../models/ApiTokens.js";
 
 const userRegisterValidator = () => {
   return [
@@ -81,9 +82,523 @@ const userForgotPasswordOtpValidator = () => {
   ];
 };
 
+// same strength rules as registration
+const strongPasswordRule = (field) =>
+  body(field)
+    .trim()
+    .notEmpty()
+    .withMessage("Password is required")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long")
+    .matches(/\d/)
+    .withMessage("Password must contain at least one number")
+    .matches(/[A-Z]/)
+    .withMessage("Password must contain at least one uppercase letter")
+    .matches(/[!@#$%^&*]/)
+    .withMessage("Password must contain at least one special character");
+
+const userChangePasswordValidator = () => {
+  return [
+    body("currentPassword")
+      .trim()
+      .notEmpty()
+      .withMessage("Current password is required"),
+
+    strongPasswordRule("newPassword"),
+    body("newPassword")
+      .custom((value, { req }) => value !== req.body.currentPassword)
+      .withMessage("New password must be different from the current one"),
+  ];
+};
+
+const userChangeEmailValidator = () => {
+  return [
+    body("newEmail")
+      .trim()
+      .notEmpty()
+      .withMessage("New email is required")
+      .isEmail()
+      .withMessage("Email is invalid"),
+
+    body("password").trim().notEmpty().withMessage("Password is required"),
+  ];
+};
+
+const userChangeEmailOtpValidator = () => {
+  return [body("otp").trim().notEmpty().withMessage("OTP is required")];
+};
+
+const userRevertEmailValidator = () => {
+  return [
+    body("token")
+      .trim()
+      .notEmpty()
+      .withMessage("Token is required")
+      .isHexadecimal()
+      .withMessage("Token is invalid"),
+  ];
+};
+
+const userProfileUpdateValidator = () => {
+  return [
+    body("username")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Username cannot be empty")
+      .isLength({ min: 3 })
+      .withMessage("Username must be at least 3 characters long")
+      .isLength({ max: 30 })
+      .withMessage("Username must be at most 30 characters long"),
+
+    body("bio")
+      .optional()
+      .isString()
+      .withMessage("Bio must be a string")
+      .trim()
+      .isLength({ max: 150 })
+      .withMessage("Bio must be at most 150 characters long"),
+
+    body("directMessages")
+      .optional()
+      .isIn(["everyone", "friends"])
+      .withMessage("directMessages must be everyone or friends"),
+  ];
+};
+
+const twoFactorCodeRule = () =>
+  body("code")
+    .trim()
+    .notEmpty()
+    .withMessage("Two-factor code is required")
+    .isLength({ max: 32 })
+    .withMessage("Two-factor code is invalid");
+
+const twoFactorCodeValidator = () => {
+  return [twoFactorCodeRule()];
+};
+
+const twoFactorLoginValidator = () => {
+  return [
+    body("challengeId").isUUID().withMessage("challengeId is invalid"),
+    twoFactorCodeRule(),
+  ];
+};
+
+const twoFactorDisableValidator = () => {
+  return [
+    body("password").trim().notEmpty().withMessage("Password is required"),
+    twoFactorCodeRule(),
+  ];
+};
+
+const sessionIdValidator = () => {
+  return [param("sessionId").isUUID().withMessage("Session id is invalid")];
+};
+
+const apiTokenCreateValidator = () => {
+  return [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Token name is required")
+      .isLength({ max: 60 })
+      .withMessage("Token name must be at most 60 characters long"),
+    body("scopes")
+      .isArray({ min: 1 })
+      .withMessage("At least one scope is required"),
+    body("scopes.*")
+      .isIn(API_TOKEN_SCOPES)
+      .withMessage(`Scopes must be among: ${API_TOKEN_SCOPES.join(", ")}`),
+    body("expiresInDays")
+      .optional({ values: "null" })
+      .isInt({ min: 1, max: 365 })
+      .withMessage("expiresInDays must be between 1 and 365")
+      .toInt(),
+  ];
+};
+
+const apiTokenIdValidator = () => {
+  return [param("tokenId").isMongoId().withMessage("Token id is invalid")];
+};
+
+const dataExportIdValidator = () => {
+  return [param("exportId").isMongoId().withMessage("Export id is invalid")];
+};
+
+const accountDeletionValidator = () => {
+  return [
+    body("password").optional().isString(),
+    body("confirmUsername").optional().isString().trim(),
+    body("anonymizeMessages")
+      .optional()
+      .isBoolean()
+      .withMessage("anonymizeMessages must be a boolean")
+      .toBoolean(),
+  ];
+};
+
+const oauthProviderValidator = () => {
+  return [
+    param("provider")
+      .matches(/^[a-z0-9-]{1,32}$/)
+      .withMessage("Provider is invalid"),
+  ];
+};
+
+const friendRequestSendValidator = () => {
+  return [
+    body("userId")
+      .trim()
+      .notEmpty()
+      .withMessage("userId is required")
+      .isMongoId()
+      .withMessage("userId is invalid"),
+  ];
+};
+
+const friendRequestIdValidator = () => {
+  return [param("requestId").isMongoId().withMessage("Request id is invalid")];
+};
+
+const friendUserIdValidator = () => {
+  return [param("userId").isMongoId().withMessage("User id is invalid")];
+};
+
+const userSearchValidator = () => {
+  return [
+    query("search")
+      .optional()
+      .isString()
+      .withMessage("search must be a string")
+      .isLength({ max: 100 })
+      .withMessage("search must be at most 100 characters long"),
+  ];
+};
+
+const blockUserValidator = () => {
+  return [param("userId").isMongoId().withMessage("User id is invalid")];
+};
+
+const friendRequestsListValidator = () => {
+  return [
+    query("direction")
+      .optional()
+      .isIn(["incoming", "outgoing"])
+      .withMessage("direction must be incoming or outgoing"),
+  ];
+};
+
+const chatCreateValidator = () => {
+  return [
+    body("userId")
+      .trim()
+      .notEmpty()
+      .withMessage("userId is required")
+      .isMongoId()
+      .withMessage("userId is invalid"),
+  ];
+};
+
+const conversationIdValidator = () => {
+  return [
+    param("conversationId")
+      .isMongoId()
+      .withMessage("Conversation id is invalid"),
+  ];
+};
+
+const messageSendValidator = () => {
+  return [
+    ...conversationIdValidator(),
+
+    // text is optional (a caption) when an attachment is sent
+    body("content")
+      .if(body("attachmentId").not().exists())
+      .trim()
+      .notEmpty()
+      .withMessage("Message content is required"),
+    body("content")
+      .optional()
+      .isString()
+      .withMessage("Message content must be a string")
+      .trim()
+      .isLength({ max: 5000 })
+      .withMessage("Message must be at most 5000 characters long"),
+
+    body("attachmentId")
+      .optional()
+      .isMongoId()
+      .withMessage("attachmentId is invalid"),
+
+    body("replyToId")
+      .optional()
+      .isMongoId()
+      .withMessage("replyToId is invalid"),
+    body("threadRootId")
+      .optional()
+      .isMongoId()
+      .withMessage("threadRootId is invalid"),
+  ];
+};
+
+const messageIdValidator = () => {
+  return [
+    ...conversationIdValidator(),
+    param("messageId").isMongoId().withMessage("Message id is invalid"),
+  ];
+};
+
+const messageEditValidator = () => {
+  return [
+    ...messageIdValidator(),
+
+    // may only be empty on an attachment (checked by the service)
+    body("content")
+      .exists()
+      .withMessage("Message content is required")
+      .isString()
+      .withMessage("Message content must be a string")
+      .trim()
+      .isLength({ max: 5000 })
+      .withMessage("Message must be at most 5000 characters long"),
+  ];
+};
+
+const messageDeleteValidator = () => {
+  return [
+    ...messageIdValidator(),
+
+    // omitted → deleted for me only
+    query("scope")
+      .optional()
+      .isIn(["me", "everyone"])
+      .withMessage("scope must be me or everyone"),
+  ];
+};
+
+const reactionToggleValidator = () => {
+  return [
+    ...messageIdValidator(),
+
+    body("emoji")
+      .isString()
+      .withMessage("emoji is required")
+      .trim()
+      .isLength({ min: 1, max: 32 })
+      .withMessage("Reaction must be an emoji"),
+  ];
+};
+
+const messageSearchValidator = () => {
+  return [
+    query("q")
+      .isString()
+      .withMessage("q is required")
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage("q must be between 1 and 200 characters"),
+    query("conversationId")
+      .optional()
+      .isMongoId()
+      .withMessage("conversationId is invalid"),
+    query("senderId").optional().isMongoId().withMessage("senderId is invalid"),
+    query("from")
+      .optional()
+      .isISO8601()
+      .withMessage("from must be an ISO 8601 date"),
+    query("to")
+      .optional()
+      .isISO8601()
+      .withMessage("to must be an ISO 8601 date"),
+    query("type")
+      .optional()
+      .isIn(["text", "image", "file", "audio"])
+      .withMessage("type must be text, image, file or audio"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("limit must be between 1 and 50"),
+  ];
+};
+
+const chatMuteValidator = () => {
+  return [
+    ...conversationIdValidator(),
+
+    // omitted → muted until unmuted
+    body("hours")
+      .optional()
+      .isInt({ min: 1, max: 8760 })
+      .withMessage("hours must be a whole number between 1 and 8760"),
+  ];
+};
+
+const attachmentIdValidator = () => {
+  return [
+    param("attachmentId").isMongoId().withMessage("Attachment id is invalid"),
+  ];
+};
+
+const markReadValidator = () => {
+  return [
+    ...conversationIdValidator(),
+
+    body("messageId")
+      .trim()
+      .notEmpty()
+      .withMessage("messageId is required")
+      .isMongoId()
+      .withMessage("messageId is invalid"),
+  ];
+};
+
+const groupNameRule = () =>
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Group name is required")
+    .isLength({ max: 50 })
+    .withMessage("Group name must be at most 50 characters long");
+
+const groupImageRule = () =>
+  body("image")
+    .optional()
+    .trim()
+    .isURL()
+    .withMessage("Group image must be a valid URL");
+
+const groupCreateValidator = () => {
+  return [
+    groupNameRule(),
+    groupImageRule(),
+
+    body("memberIds")
+      .isArray({ min: 1 })
+      .withMessage("memberIds must be a non-empty array"),
+    body("memberIds.*")
+      .isMongoId()
+      .withMessage("memberIds contains an invalid id"),
+  ];
+};
+
+const groupUpdateValidator = () => {
+  return [
+    ...conversationIdValidator(),
+    groupNameRule().optional(),
+    groupImageRule(),
+  ];
+};
+
+const groupAddMembersValidator = () => {
+  return [
+    ...conversationIdValidator(),
+
+    body("userIds")
+      .isArray({ min: 1 })
+      .withMessage("userIds must be a non-empty array"),
+    body("userIds.*").isMongoId().withMessage("userIds contains an invalid id"),
+  ];
+};
+
+const groupMemberValidator = () => {
+  return [
+    ...conversationIdValidator(),
+    param("userId").isMongoId().withMessage("User id is invalid"),
+  ];
+};
+
+const groupTransferOwnershipValidator = () => {
+  return [
+    ...conversationIdValidator(),
+
+    body("userId")
+      .trim()
+      .notEmpty()
+      .withMessage("userId is required")
+      .isMongoId()
+      .withMessage("userId is invalid"),
+  ];
+};
+
+const notificationIdValidator = () => {
+  return [
+    param("notificationId")
+      .isMongoId()
+      .withMessage("Notification id is invalid"),
+  ];
+};
+
+const notificationListValidator = () => {
+  return [
+    query("unread")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("unread must be true or false"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("limit must be between 1 and 50"),
+  ];
+};
+
+const notificationPreferencesValidator = () => {
+  return ["mentions", "friendRequests", "emailDigest"].map((key) =>
+    body(key)
+      .optional()
+      .isBoolean()
+      .withMessage(`${key} must be a boolean`)
+      .toBoolean(),
+  );
+};
+
+const digestUnsubscribeValidator = () => {
+  return [query("token").trim().notEmpty().withMessage("Token is required")];
+};
+
 export {
   userRegisterValidator,
   userLoginValidator,
   userForgotPasswordValidator,
   userForgotPasswordOtpValidator,
+  userChangePasswordValidator,
+  userChangeEmailValidator,
+  userChangeEmailOtpValidator,
+  userRevertEmailValidator,
+  userProfileUpdateValidator,
+  twoFactorCodeValidator,
+  twoFactorLoginValidator,
+  twoFactorDisableValidator,
+  sessionIdValidator,
+  apiTokenCreateValidator,
+  apiTokenIdValidator,
+  oauthProviderValidator,
+  dataExportIdValidator,
+  accountDeletionValidator,
+  friendRequestSendValidator,
+  friendRequestIdValidator,
+  friendUserIdValidator,
+  friendRequestsListValidator,
+  blockUserValidator,
+  userSearchValidator,
+  chatCreateValidator,
+  conversationIdValidator,
+  messageSendValidator,
+  messageIdValidator,
+  messageEditValidator,
+  messageDeleteValidator,
+  reactionToggleValidator,
+  messageSearchValidator,
+  attachmentIdValidator,
+  markReadValidator,
+  chatMuteValidator,
+  groupCreateValidator,
+  groupUpdateValidator,
+  groupAddMembersValidator,
+  groupMemberValidator,
+  groupTransferOwnershipValidator,
+  notificationIdValidator,
+  notificationListValidator,
+  notificationPreferencesValidator,
+  digestUnsubscribeValidator,
 };
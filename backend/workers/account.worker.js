@@ -0,0 +1,64 @@
+import dotenv from "dotenv";
+import { Worker } from "bullmq";
+import dbCall, { buildMongoUri } from "../db/dbCall.js";
+import redisCall from "../redis/redisClient.js";
+import accountQueue from "../queues/account.queue.js";
+import {
+  runExport,
+  markExportFailed,
+  purgeExpiredExports,
+} from "../services/export-service.js";
+import { runScheduledDeletion } from "../services/account-service.js";
+
+dotenv.config();
+
+// Unlike the email worker, these jobs read and write the database
+await dbCall(buildMongoUri());
+await redisCall(String(process.env.REDIS_URL));
+
+const handlers = {
+  exportData: ({ exportId }) => runExport(exportId),
+  deleteAccount: ({ userId }) => runScheduledDeletion(userId),
+  purgeExpiredExports: () => purgeExpiredExports(),
+};
+
+const worker = new Worker(
+  "account",
+  async (job) => {
+    const handler = handlers[job.name];
+    if (!handler) throw new Error(`Unknown account job "${job.name}"`);
+    console.log(`Processing ${job.name} job ${job.id}`);
+    return handler(job.data);
+  },
+  {
+    // Use the same Redis URL as the main app; avoids BullMQ defaulting to 127.0.0.1:6379
+    connection: process.env.REDIS_URL
+      ? { url: process.env.REDIS_URL }
+      : undefined,
+    // archives are built in memory-friendly streams, but one at a time
+    concurrency: 1,
+  },
+);
+
+// Expired export archives are removed every hour
+await accountQueue.upsertJobScheduler(
+  "purge-expired-exports",
+  { every: 60 * 60 * 1000 },
+  { name: "purgeExpiredExports" },
+);
+
+worker.on("completed", (job) => {
+  console.log(` Job ${job.id} (${job.name}) completed`);
+});
+
+worker.on("failed", (job, err) => {
+  console.error(`Job ${job?.id} (${job?.name}) failed`, err);
+  // covers failures outside runExport too, e.g. a stalled job given up on
+  if (job?.name === "exportData") {
+    markExportFailed(job.data.exportId, err?.message || "Export failed").catch(
+      (error) => console.error("Could not mark the export failed:", error),
+    );
+  }
+});
+
+export default worker;
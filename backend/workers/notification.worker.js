@@ -0,0 +1,53 @@
+import dotenv from "dotenv";
+import { Worker } from "bullmq";
+import dbCall, { buildMongoUri } from "../db/dbCall.js";
+import redisCall from "../redis/redisClient.js";
+import notificationQueue from "../queues/notification.queue.js";
+import { sendDigests } from "../services/notification-service.js";
+
+dotenv.config();
+
+// Digests read unread counters (MongoDB) and live presence (Redis);
+// the emails themselves go through emailQueue → email.worker.js
+await dbCall(buildMongoUri());
+await redisCall(String(process.env.REDIS_URL));
+
+const handlers = {
+  sendDigests: () => sendDigests(),
+};
+
+const worker = new Worker(
+  "notifications",
+  async (job) => {
+    const handler = handlers[job.name];
+    if (!handler) throw new Error(`Unknown notification job "${job.name}"`);
+    console.log(`Processing ${job.name} job ${job.id}`);
+    return handler(job.data);
+  },
+  {
+    // Use the same Redis URL as the main app; avoids BullMQ defaulting to 127.0.0.1:6379
+    connection: process.env.REDIS_URL
+      ? { url: process.env.REDIS_URL }
+      : undefined,
+    concurrency: 1,
+  },
+);
+
+// Offline users with unread messages are looked for every 15 minutes
+await notificationQueue.upsertJobScheduler(
+  "send-digests",
+  { every: 15 * 60 * 1000 },
+  { name: "sendDigests" },
+);
+
+worker.on("completed", (job, sent) => {
+  console.log(
+    ` Job ${job.id} (${job.name}) completed, ${sent} digest(s) queued`,
+  );
+});
+
+worker.on("failed", (job, err) => {
+  console.error(`Job ${job?.id} (${job?.name}) failed`, err);
+});
+
+export default worker;